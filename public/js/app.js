@@ -9,8 +9,10 @@ import {
   initFileManager, setDbInitialized, getCurrentFile, getIsDirty,
   onContentChange, saveFile, loadFile, showEmptyState,
   renderBufferTabs, renderRecentFiles, fetchPolicy, getDefaultPolicy,
-  applyBufferPolicy
+  applyBufferPolicy, saveProperties, watchVaultChanges
 } from './file-manager.js';
+import { initPropertiesPanel } from './properties-panel.js';
+import { initHistoryPanel } from './history-panel.js';
 
 import {
   initTabManager, initTabs,
@@ -112,7 +114,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   initTabManager({ saveFile, getIsDirty });
   initSearchManager({ getDbInitialized, getBufferManager, renderBufferTabs: () => renderUnifiedTabs() });
   initSyncManager(getDbInitialized);
+  initPropertiesPanel({ saveProperties });
+  initHistoryPanel({ loadFile });
   initUI({ getSidebarManager });
+  watchVaultChanges();
 
   // No need to init old tabs - we're using unified tabs now
 
@@ -0,0 +1,93 @@
+// Audit log viewer: filter and page through /api/audit, newest first
+
+const PAGE_SIZE = 50;
+
+const filterForm = document.getElementById('audit-filters');
+const auditList = document.getElementById('audit-list');
+const auditError = document.getElementById('audit-error');
+const newerBtn = document.getElementById('audit-newer');
+const olderBtn = document.getElementById('audit-older');
+const pageLabel = document.getElementById('audit-page');
+
+let offset = 0;
+
+async function loadEntries() {
+  auditError.hidden = true;
+
+  const params = new URLSearchParams({ offset, limit: PAGE_SIZE });
+  for (const [name, value] of new FormData(filterForm)) {
+    if (value) params.set(name, value);
+  }
+
+  try {
+    const response = await fetch(`/api/audit?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load the audit log');
+
+    renderEntries(data.entries);
+    newerBtn.disabled = offset === 0;
+    olderBtn.disabled = !data.hasMore;
+    pageLabel.textContent = data.entries.length > 0
+      ? `${offset + 1}-${offset + data.entries.length}`
+      : '';
+  } catch (err) {
+    auditError.textContent = err.message;
+    auditError.hidden = false;
+  }
+}
+
+function renderEntries(entries) {
+  if (entries.length === 0) {
+    auditList.innerHTML = '<tr><td colspan="7" class="token-empty">No matching entries</td></tr>';
+    return;
+  }
+
+  auditList.innerHTML = entries.map(entry => `
+    <tr class="audit-${escapeHtml(entry.outcome || 'ok')}">
+      <td title="${escapeHtml(entry.at)}">${new Date(entry.at).toLocaleString()}</td>
+      <td>${escapeHtml(entry.user || 'anonymous')}<br><span class="token-empty">${escapeHtml(entry.ip || '')}${entry.token ? ` &middot; token ${escapeHtml(entry.token)}` : ''}</span></td>
+      <td><code>${escapeHtml(entry.method || '')} ${escapeHtml(entry.path || '')}</code></td>
+      <td>${escapeHtml(String(entry.status ?? ''))}</td>
+      <td>${escapeHtml(entry.target ?? '')}</td>
+      <td>${formatDelta(entry.sizeDelta)}</td>
+      <td>${escapeHtml(describe(entry))}</td>
+    </tr>
+  `).join('');
+}
+
+// Anything beyond the standard fields, plus the error a refused request got
+function describe(entry) {
+  const { at, user, ip, token, method, path, status, outcome, target, sizeDelta, error, ...rest } = entry;
+  const parts = Object.entries(rest).map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  if (error) parts.unshift(error.message);
+  return parts.join('; ');
+}
+
+function formatDelta(delta) {
+  if (delta === null || delta === undefined) return '';
+  const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+  const size = Math.abs(delta);
+  return size < 1024 ? `${sign}${size} B` : `${sign}${(size / 1024).toFixed(1)} KB`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+filterForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  offset = 0;
+  loadEntries();
+});
+newerBtn.addEventListener('click', () => {
+  offset = Math.max(0, offset - PAGE_SIZE);
+  loadEntries();
+});
+olderBtn.addEventListener('click', () => {
+  offset += PAGE_SIZE;
+  loadEntries();
+});
+
+loadEntries();
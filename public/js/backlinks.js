@@ -17,24 +17,26 @@ export async function loadBacklinks(filePath) {
       throw new Error('Failed to load backlinks');
     }
 
-    const backlinks = await response.json();
+    const results = await response.json();
+    const backlinks = results.filter(link => link.type !== 'unlinked');
+    const unlinked = results.filter(link => link.type === 'unlinked');
 
     // Update count in header
     if (countEl) {
       countEl.textContent = backlinks.length > 0 ? `(${backlinks.length})` : '';
     }
 
-    if (backlinks.length === 0) {
+    if (results.length === 0) {
       container.innerHTML = '<div class="empty-state">No backlinks</div>';
       return;
     }
 
-    container.innerHTML = backlinks.map(link => `
-      <div class="backlink-item" onclick="openFile('${escapeAttr(link.path)}')">
-        <div class="backlink-title">${escapeHtml(link.name)}</div>
-        ${link.context ? `<div class="backlink-preview">${escapeHtml(link.context)}</div>` : ''}
-      </div>
-    `).join('');
+    container.innerHTML = (backlinks.length > 0
+      ? backlinks.map(renderBacklink).join('')
+      : '<div class="empty-state">No backlinks</div>') +
+      (unlinked.length > 0
+        ? `<div class="backlinks-subheader">Unlinked mentions (${unlinked.length})</div>${unlinked.map(renderBacklink).join('')}`
+        : '');
 
   } catch (err) {
     console.error('Error loading backlinks:', err);
@@ -43,6 +45,19 @@ export async function loadBacklinks(filePath) {
   }
 }
 
+// One linking note, with a preview line per mention
+function renderBacklink(link) {
+  const mentions = link.mentions || (link.context ? [{ context: link.context }] : []);
+  return `
+    <div class="backlink-item" onclick="openFile('${escapeAttr(link.path)}')">
+      <div class="backlink-title">${escapeHtml(link.name)}</div>
+      ${mentions.map(mention => `
+        <div class="backlink-preview">${mention.line ? `<span class="backlink-line">L${mention.line}</span> ` : ''}${escapeHtml(mention.context)}</div>
+      `).join('')}
+    </div>
+  `;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -207,7 +207,7 @@ class WriterDB {
     try {
       const files = await this.getAllFiles();
       const tagMap = new Map();
-      const tagPattern = /(?:^|\s)(#[A-Za-z0-9_.-]*[A-Za-z0-9])/g;
+      const tagPattern = /(?:^|\s)(#[A-Za-z0-9_./-]*[A-Za-z0-9_])/g;
 
       // Scan all files for tags
       for (const file of files) {
@@ -236,34 +236,39 @@ class WriterDB {
         totalCount: files.reduce((sum, f) => sum + f.count, 0)
       }));
 
-      // Save to tags store
-      return new Promise((resolve, reject) => {
-        try {
-          const tx = this.db.transaction('tags', 'readwrite');
-          const store = tx.objectStore('tags');
-          
-          // Clear existing tags
-          const clearRequest = store.clear();
-          
-          clearRequest.onsuccess = () => {
-            // Add new tags
-            for (const tag of tags) {
-              store.put(tag);
-            }
-          };
-          
-          tx.oncomplete = () => resolve(tags);
-          tx.onerror = () => reject(tx.error);
-        } catch (err) {
-          reject(err);
-        }
-      });
+      return await this.saveTags(tags);
     } catch (err) {
       console.error('updateTags error:', err);
       return [];
     }
   }
 
+  // Replace the tags store, e.g. with the server's inventory
+  async saveTags(tags) {
+    if (!this.db) return [];
+    return new Promise((resolve, reject) => {
+      try {
+        const tx = this.db.transaction('tags', 'readwrite');
+        const store = tx.objectStore('tags');
+        
+        // Clear existing tags
+        const clearRequest = store.clear();
+        
+        clearRequest.onsuccess = () => {
+          // Add new tags
+          for (const tag of tags) {
+            store.put(tag);
+          }
+        };
+        
+        tx.oncomplete = () => resolve(tags);
+        tx.onerror = () => reject(tx.error);
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
   // Sync queue operations
   async addToSyncQueue(operation, data) {
     if (!this.db) return;
@@ -459,6 +464,20 @@ class WriterDB {
         }
       }
 
+      // Drop local copies of notes that were renamed or deleted on the
+      // server, keeping anything with unsynced local edits. A failed save is
+      // queued but may still be marked 'synced', so check the queue too
+      const serverPaths = new Set(serverFiles.map(file => file && file.path));
+      const queuedSaves = new Set((await this.getSyncQueue())
+        .filter(item => item.operation === 'save')
+        .map(item => item.data.path));
+      const localFiles = await this.getAllFiles();
+      for (const localFile of localFiles) {
+        if (!serverPaths.has(localFile.path) && localFile.syncStatus !== 'pending' && !queuedSaves.has(localFile.path)) {
+          await this.deleteFile(localFile.path);
+        }
+      }
+
       // Update tags after sync
       await this.updateTags();
 
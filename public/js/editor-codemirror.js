@@ -198,6 +198,10 @@ export async function initEditor(container, content, onChange, onHistory) {
   // Slash commands
   editor.on('inputRead', handleSlashCommand);
 
+  // Pasted and dropped files become attachments
+  editor.on('paste', handlePaste);
+  editor.on('drop', handleDrop);
+
   // Initial math render, transclusions, and indent colors
   setTimeout(() => {
     editor.refresh();
@@ -330,10 +334,14 @@ async function renderTransclusions() {
     if (i === cursorLine) continue;
 
     const line = editor.getLine(i);
-    const match = line.match(/^!\[\[([^\]|]+)(?:\|[^\]]+)?\]\]\s*$/);
+    const match = line.match(/^!\[\[([^\]|]+)(?:\|([^\]]+))?\]\]\s*$/);
     if (!match) continue;
 
     const target = match[1].trim();
+    if (isAttachment(target)) {
+      markTransclusion(doc, i, line, attachmentWidget(target, match[2]));
+      continue;
+    }
     const filePath = target.endsWith('.md') ? target : target + '.md';
 
     // Fetch content (with cache)
@@ -355,9 +363,6 @@ async function renderTransclusions() {
       }
     }
 
-    const startPos = { line: i, ch: 0 };
-    const endPos = { line: i, ch: line.length };
-
     const widget = document.createElement('div');
     widget.className = 'transclusion-widget';
 
@@ -379,19 +384,107 @@ async function renderTransclusions() {
       <div class="transclusion-content">${escapeHtml(preview)}${truncated ? '\n...' : ''}</div>`;
     }
 
-    try {
-      const marker = doc.markText(startPos, endPos, {
-        replacedWith: widget,
-        clearOnEnter: true,
-        handleMouseEvents: true
-      });
-      transclusionWidgets.push(marker);
-    } catch (e) {
-      // Ignore marking errors
-    }
+    markTransclusion(doc, i, line, widget);
+  }
+}
+
+function markTransclusion(doc, lineNumber, line, widget) {
+  try {
+    const marker = doc.markText({ line: lineNumber, ch: 0 }, { line: lineNumber, ch: line.length }, {
+      replacedWith: widget,
+      clearOnEnter: true,
+      handleMouseEvents: true
+    });
+    transclusionWidgets.push(marker);
+  } catch (e) {
+    // Ignore marking errors
+  }
+}
+
+// Attachments: ![[name.png]] shows the image (![[name.png|300]] at 300px
+// wide), anything else a link to the file
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+
+function attachmentExtension(target) {
+  const match = target.match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function isAttachment(target) {
+  const ext = attachmentExtension(target);
+  return ext !== null && ext !== 'md';
+}
+
+function attachmentWidget(target, option) {
+  const url = `/api/attachments/${target.split('/').map(encodeURIComponent).join('/')}`;
+  const widget = document.createElement('div');
+  widget.className = 'transclusion-widget';
+
+  if (IMAGE_EXTENSIONS.includes(attachmentExtension(target))) {
+    const img = document.createElement('img');
+    img.className = 'transclusion-image';
+    img.src = url;
+    img.alt = target;
+    if (/^\d+$/.test(option || '')) img.width = Number(option);
+    img.onerror = () => {
+      widget.innerHTML = `<div class="transclusion-header">
+        <span class="transclusion-icon">!</span>
+        <span class="transclusion-title">${escapeHtml(target)}</span>
+        <span class="transclusion-missing">not found</span>
+      </div>`;
+    };
+    widget.appendChild(img);
+  } else {
+    widget.innerHTML = `<div class="transclusion-header">
+      <span class="transclusion-icon">&#x1F4CE;</span>
+      <span class="transclusion-title">${escapeHtml(target)}</span>
+      <a class="transclusion-open" href="${escapeHtml(url)}" target="_blank" rel="noopener">open</a>
+    </div>`;
+  }
+  return widget;
+}
+
+// Upload a pasted or dropped file and embed it at `pos` on a line of its own
+async function uploadAttachment(file, pos) {
+  // Screenshots all arrive as "image.png"
+  const name = file.name && file.name !== 'image.png'
+    ? file.name
+    : `Pasted image ${new Date().toISOString().replace(/\D/g, '').substring(0, 14)}.${(file.type.split('/')[1] || 'png').replace('jpeg', 'jpg')}`;
+  const form = new FormData();
+  form.append('file', file, name);
+
+  try {
+    const response = await fetch('/api/attachments', { method: 'POST', body: form });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Upload failed');
+    if (!editor) return;
+
+    const doc = editor.getDoc();
+    const line = doc.getLine(pos.line) ?? '';
+    const before = line.substring(0, pos.ch).trim() ? '\n' : '';
+    const after = line.substring(pos.ch).trim() ? '\n' : '';
+    doc.replaceRange(`${before}![[${result.name}]]${after}`, pos);
+  } catch (err) {
+    console.error('Attachment upload error:', err);
+    alert(`Could not upload ${name}: ${err.message}`);
   }
 }
 
+function handlePaste(cm, event) {
+  const files = Array.from(event.clipboardData?.files || []);
+  if (files.length === 0) return;
+  event.preventDefault();
+  files.forEach(file => uploadAttachment(file, cm.getCursor()));
+}
+
+function handleDrop(cm, event) {
+  const files = Array.from(event.dataTransfer?.files || []);
+  if (files.length === 0) return;
+  event.preventDefault();
+  const pos = cm.coordsChar({ left: event.clientX, top: event.clientY });
+  files.forEach(file => uploadAttachment(file, pos));
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
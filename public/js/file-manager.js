@@ -1,5 +1,7 @@
 import { getContent } from './editor.js';
 import { loadBacklinks } from './backlinks.js';
+import { loadProperties } from './properties-panel.js';
+import { loadHistory } from './history-panel.js';
 import db from './db.js';
 import { showConflictWarning } from './conflict-manager.js';
 import { escapeHtml, loadTags } from './search-manager.js';
@@ -7,12 +9,17 @@ import { getActiveTab, updateUrlState } from './tab-manager.js';
 
 const DEFAULT_POLICY = {
   readOnly: false,
+  appendOnly: false,
   allowCreate: true,
   allowRename: true,
   allowDelete: true,
-  maxLength: null
+  maxLength: null,
+  editor: null,
+  autosave: null
 };
 
+const DEFAULT_AUTOSAVE_MS = 2000;
+
 const MAX_RECENT = 8;
 
 let currentFile = null;
@@ -209,6 +216,8 @@ export async function switchToBuffer(id) {
       treeEditor.setActivePath(buffer.meta.path);
     }
     loadBacklinks(buffer.meta.path);
+    loadProperties(buffer.meta.path, normalizePolicy(currentFile.policy));
+    loadHistory(buffer.meta.path, normalizePolicy(currentFile.policy));
     addToRecentFiles(buffer.meta.path);
     updateUrlState(getActiveTab(), { path: `/edit/${buffer.meta.path}` });
   } else {
@@ -242,6 +251,8 @@ export async function closeBuffer(id) {
       currentFile = null;
       isDirty = false;
       showEmptyState();
+      loadProperties(null);
+      loadHistory(null);
       document.getElementById('current-file-path').textContent = '';
       updateUrlState(getActiveTab(), { path: '/' });
       applyBufferPolicy(DEFAULT_POLICY);
@@ -351,8 +362,10 @@ export async function loadFile(path) {
       });
     }
 
-    // Load backlinks
+    // Load backlinks, frontmatter properties and history
     loadBacklinks(path);
+    loadProperties(path, policy);
+    loadHistory(path, policy);
 
     isDirty = false;
     if (bufferManager && currentFile) {
@@ -382,9 +395,23 @@ export function onContentChange(content) {
 
   renderBufferTabs();
 
-  // Debounced auto-save
+  // Debounced auto-save, unless the path's policy turns it off
   clearTimeout(saveTimeout);
-  saveTimeout = setTimeout(() => saveFile(), 2000);
+  const { autosave } = normalizePolicy(currentFile?.policy || currentPolicy);
+  if (autosave !== false) {
+    saveTimeout = setTimeout(() => saveFile(), autosave || DEFAULT_AUTOSAVE_MS);
+  }
+}
+
+// A save refused by the server's policy for this path
+async function handlePolicyRefusal(response) {
+  const errorData = await response.json();
+  if (errorData.policy && currentFile) {
+    currentFile.policy = normalizePolicy(errorData.policy);
+    policyCache.set(currentFile.path, currentFile.policy);
+    applyBufferPolicy(currentFile.policy);
+  }
+  updateSaveStatus(errorData.error || 'Save blocked by policy', 'error');
 }
 
 // Save file
@@ -437,6 +464,10 @@ export async function saveFile() {
               showConflictWarning(currentFile.path, content, serverContent);
               updateSaveStatus('Conflict detected', 'error');
               return false;
+            } else if (response.status === 403) {
+              // Retrying later would be refused again, so don't queue it
+              await handlePolicyRefusal(response);
+              return false;
             } else {
               // Server save failed, queue for later
               await db.addToSyncQueue('save', { path: currentFile.path, content });
@@ -484,6 +515,10 @@ export async function saveFile() {
         updateSaveStatus('Conflict detected', 'error');
         return false;
       }
+      if (response.status === 403) {
+        await handlePolicyRefusal(response);
+        return false;
+      }
       if (!response.ok) throw new Error('Failed to save');
 
       const result = await response.json();
@@ -510,6 +545,51 @@ export async function saveFile() {
   }
 }
 
+// Replace the current note's frontmatter on the server, then reload the
+// note so the editor shows the rewritten YAML
+export async function saveProperties(properties) {
+  if (!currentFile) return false;
+  if (!navigator.onLine) {
+    updateSaveStatus('Properties can only be edited online', 'error');
+    return false;
+  }
+  if (!(await saveFile())) return false;
+
+  const { path } = currentFile;
+  try {
+    updateSaveStatus('Saving...', 'saving');
+    const response = await fetch(`/api/properties/${encodeURIComponent(path)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ properties, lastModified: lastKnownModified })
+    });
+
+    if (response.status === 409) {
+      const errorData = await response.json();
+      showConflictWarning(path, getContent(), errorData.details?.serverContent || '');
+      updateSaveStatus('Conflict detected', 'error');
+      return false;
+    }
+    if (response.status === 403) {
+      await handlePolicyRefusal(response);
+      return false;
+    }
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to save properties');
+    }
+
+    await loadFile(path);
+    loadTags();
+    updateSaveStatus('Saved', 'saved');
+    return true;
+  } catch (err) {
+    console.error('Error saving properties:', err);
+    updateSaveStatus('Error saving properties', 'error');
+    return false;
+  }
+}
+
 // Open a file
 export async function openFile(path) {
   const bufferManager = bufferManagerRef();
@@ -629,7 +709,7 @@ export async function deleteCurrentFile() {
     return;
   }
 
-  const confirmed = confirm(`Delete "${currentFile.path}"?\n\nThis cannot be undone.`);
+  const confirmed = confirm(`Move "${currentFile.path}" to the trash?`);
   if (!confirmed) return;
 
   try {
@@ -692,13 +772,22 @@ export async function renameCurrentFile() {
       alert(err.error || 'Failed to rename file');
       return;
     }
+    const renamed = await renameResponse.json();
 
-    // Ensure content is saved under new name
-    await fetch(`/api/files/${encodeURIComponent(finalName)}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ content })
-    });
+    // Save unsaved edits under the new name. Otherwise keep the server copy,
+    // whose links to itself may have just been rewritten.
+    if (isDirty) {
+      await fetch(`/api/files/${encodeURIComponent(finalName)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      });
+    }
+
+    // Other notes linking here were rewritten on the server; refresh the cache
+    if (renamed.updatedLinks?.length && dbInitialized) {
+      db.syncFromServer();
+    }
 
     document.getElementById('file-menu').classList.add('hidden');
     currentFile.path = finalName;
@@ -759,3 +848,61 @@ export async function createNewFile() {
     alert('Failed to create file');
   }
 }
+
+// Notes changed on disk by other programs arrive over /api/events. Clean
+// buffers take the new content; dirty ones get the conflict warning.
+let vaultEvents = null;
+
+export function watchVaultChanges() {
+  if (vaultEvents || typeof EventSource === 'undefined') return;
+
+  vaultEvents = new EventSource('/api/events');
+  vaultEvents.addEventListener('change', (event) => {
+    const { changes } = JSON.parse(event.data);
+    handleExternalChanges(changes).catch(err => console.error('Error applying external changes:', err));
+  });
+}
+
+async function handleExternalChanges(changes) {
+  const bufferManager = bufferManagerRef();
+  const treeEditor = treeEditorRef();
+
+  for (const change of changes) {
+    const buffer = bufferManager?.getBuffer(change.path);
+
+    if (change.type === 'delete') {
+      if (dbInitialized) await db.deleteFile(change.path).catch(() => {});
+      if (currentFile?.path === change.path) {
+        updateSaveStatus('Deleted outside the app', 'error');
+      }
+      continue;
+    }
+
+    if (!buffer) continue;
+
+    const response = await fetch(`/api/files/${encodeURIComponent(change.path)}`);
+    if (!response.ok) continue;
+    const serverFile = await response.json();
+    if (serverFile.content === buffer.content) continue;
+
+    if (buffer.dirty) {
+      buffer.meta.hasConflict = true;
+      showConflictWarning(change.path, buffer.content, serverFile.content);
+    } else if (currentFile?.path === change.path) {
+      await loadFile(change.path);
+      updateSaveStatus('Reloaded: changed outside the app');
+    } else {
+      buffer.content = serverFile.content;
+      if (dbInitialized) {
+        await db.saveFile(change.path, serverFile.content, Date.parse(serverFile.modified) || Date.now());
+      }
+    }
+  }
+
+  // Notes without a buffer only need the offline cache and the tree brought up to date
+  const unopened = changes.filter(change => change.type === 'write' && !bufferManager?.getBuffer(change.path));
+  if (dbInitialized && unopened.length > 0) await db.syncFromServer();
+  if (treeEditor && (unopened.length > 0 || changes.some(change => change.type === 'delete'))) {
+    await treeEditor.refresh();
+  }
+}
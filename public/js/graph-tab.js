@@ -86,9 +86,9 @@ function createGraph() {
   const width = container.clientWidth || 800;
   const height = container.clientHeight || 600;
 
-  // Compute link counts per node
+  // Compute link counts per node (shared tags don't count as links)
   linkCounts = new Map();
-  graphData.links.forEach(l => {
+  graphData.links.filter(l => l.type !== 'tag').forEach(l => {
     linkCounts.set(l.source, (linkCounts.get(l.source) || 0) + 1);
     linkCounts.set(l.target, (linkCounts.get(l.target) || 0) + 1);
   });
@@ -127,7 +127,8 @@ function createGraph() {
     .append('line')
     .attr('stroke', '#555')
     .attr('stroke-opacity', 0.3)
-    .attr('stroke-width', 1);
+    .attr('stroke-width', 1)
+    .attr('stroke-dasharray', l => (l.type === 'tag' ? '3,3' : l.type === 'embed' ? '6,2' : null));
 
   // Nodes group
   const node = g.append('g')
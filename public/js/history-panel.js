@@ -0,0 +1,150 @@
+// History Panel - a note's saved revisions from the vault's git history,
+// with a preview, blame and restore for each
+
+import { escapeHtml } from './search-manager.js';
+
+let loadFileRef = null;
+let current = null; // { path, revisions, readOnly }
+
+export function initHistoryPanel({ loadFile }) {
+  loadFileRef = loadFile;
+
+  const container = document.getElementById('history-list');
+  if (!container) return;
+
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button || !current) return;
+    const { action, rev } = button.dataset;
+    if (action === 'view') toggleRevision(button.closest('.history-item'), rev);
+    if (action === 'restore') restoreRevision(rev);
+    if (action === 'blame') showBlame();
+    if (action === 'back') render(container);
+  });
+}
+
+export async function loadHistory(filePath, policy = {}) {
+  const container = document.getElementById('history-list');
+  const countEl = document.getElementById('history-count');
+  if (!container) return;
+
+  if (!filePath) {
+    current = null;
+    container.innerHTML = '<div class="empty-state">No file selected</div>';
+    if (countEl) countEl.textContent = '';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/files/${encodeURIComponent(filePath)}/history`);
+    if (response.status === 503) {
+      current = null;
+      container.innerHTML = '<div class="empty-state">History is turned off</div>';
+      if (countEl) countEl.textContent = '';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error('Failed to load history');
+    }
+
+    const data = await response.json();
+    current = { path: filePath, revisions: data.revisions, readOnly: Boolean(policy.readOnly || policy.appendOnly) };
+    if (countEl) countEl.textContent = data.revisions.length > 0 ? `(${data.revisions.length})` : '';
+    render(container);
+  } catch (err) {
+    console.error('Error loading history:', err);
+    current = null;
+    container.innerHTML = '<div class="empty-state">Error loading history</div>';
+    if (countEl) countEl.textContent = '';
+  }
+}
+
+function render(container) {
+  if (current.revisions.length === 0) {
+    container.innerHTML = '<div class="empty-state">No saved revisions yet</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="history-actions">
+      <button class="btn btn-secondary" data-action="blame">Blame</button>
+    </div>
+    ${current.revisions.map((revision, index) => `
+      <div class="history-item">
+        <div class="history-summary">
+          <span class="history-rev" title="${escapeHtml(revision.rev)}">${escapeHtml(revision.rev.substring(0, 7))}</span>
+          <span class="history-author">${escapeHtml(revision.author)}</span>
+          <span class="history-date">${new Date(revision.date).toLocaleString()}</span>
+        </div>
+        <div class="history-message">${escapeHtml(revision.message)}${revision.path !== current.path ? ` <span class="history-date">(as ${escapeHtml(revision.path)})</span>` : ''}</div>
+        <div class="history-buttons">
+          <button class="btn btn-secondary" data-action="view" data-rev="${escapeHtml(revision.rev)}">View</button>
+          ${index === 0 || current.readOnly ? '' : `<button class="btn btn-secondary" data-action="restore" data-rev="${escapeHtml(revision.rev)}">Restore</button>`}
+        </div>
+      </div>
+    `).join('')}
+  `;
+}
+
+async function toggleRevision(item, rev) {
+  const open = item.querySelector('.history-preview');
+  if (open) {
+    open.remove();
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/files/${encodeURIComponent(current.path)}/revisions/${rev}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load revision');
+    item.insertAdjacentHTML('beforeend', `<pre class="history-preview">${escapeHtml(data.content)}</pre>`);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function showBlame() {
+  const container = document.getElementById('history-list');
+  try {
+    const response = await fetch(`/api/files/${encodeURIComponent(current.path)}/blame`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load blame');
+
+    container.innerHTML = `
+      <div class="history-actions">
+        <button class="btn btn-secondary" data-action="back">Back to revisions</button>
+      </div>
+      <div class="history-blame">
+        ${data.lines.map(line => `
+          <div class="history-blame-line" title="${escapeHtml(line.message || '')}">
+            <span class="history-rev">${escapeHtml(line.rev.substring(0, 7))}</span>
+            <span class="history-author">${escapeHtml(line.author || '')}</span>
+            <span class="history-blame-content">${escapeHtml(line.content) || '&nbsp;'}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function restoreRevision(rev) {
+  const { path } = current;
+  if (!confirm(`Restore "${path}" to revision ${rev.substring(0, 7)}? The current content stays in the history.`)) return;
+
+  try {
+    const response = await fetch(`/api/files/${encodeURIComponent(path)}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rev })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to restore revision');
+
+    // Reloading the note reloads this panel too
+    if (loadFileRef) await loadFileRef(path);
+  } catch (err) {
+    alert(err.message);
+  }
+}
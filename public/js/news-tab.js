@@ -1,5 +1,6 @@
 // News Tab - Clustered news stories + stocks ticker
 import db from './db.js';
+import { getPreference } from './preferences.js';
 
 let newsData = null;
 let stocksData = null;
@@ -123,9 +124,11 @@ async function loadStocksData() {
       renderStocksTicker();
     }
 
-    // If online, fetch fresh data
+    // If online, fetch fresh data for the user's watchlist (or the defaults)
     if (!isOffline) {
-      const response = await fetch('/api/helper/stocks');
+      const watchlist = await getPreference('stockWatchlist');
+      const query = watchlist?.length ? `?symbols=${encodeURIComponent(watchlist.join(','))}` : '';
+      const response = await fetch(`/api/helper/stocks${query}`);
       if (!response.ok) return;
 
       stocksData = await response.json();
@@ -0,0 +1,90 @@
+// Per-user preferences (weather location, stock watchlist, research
+// categories). Logged-in users keep them on the server; logged-out visitors
+// of the public whiteboard fall back to localStorage.
+
+// Preferences that used to live in localStorage, and the key they used
+const LOCAL_KEYS = {
+  weatherLocation: 'weather-location'
+};
+
+let serverPreferences = null; // null when logged out or offline
+let loading = null;
+
+export function loadPreferences() {
+  if (!loading) {
+    loading = fetch('/api/me/preferences')
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then(async (preferences) => {
+        serverPreferences = preferences;
+        if (preferences) await migrateLocalPreferences();
+        return preferences;
+      });
+  }
+  return loading;
+}
+
+// Move values saved in localStorage before the server kept them
+async function migrateLocalPreferences() {
+  const changes = {};
+  for (const [key, localKey] of Object.entries(LOCAL_KEYS)) {
+    const stored = localStorage.getItem(localKey);
+    if (stored === null) continue;
+    if (serverPreferences[key] === undefined) {
+      try {
+        changes[key] = JSON.parse(stored);
+      } catch (e) {
+        // Invalid stored value, just drop it
+      }
+    }
+    localStorage.removeItem(localKey);
+  }
+  if (Object.keys(changes).length > 0) {
+    await savePreferences(changes);
+  }
+}
+
+export async function getPreference(key) {
+  await loadPreferences();
+  if (serverPreferences) return serverPreferences[key] ?? null;
+
+  const localKey = LOCAL_KEYS[key];
+  if (!localKey) return null;
+  try {
+    return JSON.parse(localStorage.getItem(localKey));
+  } catch (e) {
+    return null;
+  }
+}
+
+export async function setPreference(key, value) {
+  await loadPreferences();
+  if (serverPreferences) {
+    return savePreferences({ [key]: value });
+  }
+
+  const localKey = LOCAL_KEYS[key];
+  if (localKey) {
+    localStorage.setItem(localKey, JSON.stringify(value));
+  }
+  return false;
+}
+
+async function savePreferences(changes) {
+  try {
+    const response = await fetch('/api/me/preferences', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to save preferences');
+    }
+    serverPreferences = await response.json();
+    return true;
+  } catch (err) {
+    console.error('Error saving preferences:', err);
+    return false;
+  }
+}
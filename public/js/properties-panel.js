@@ -0,0 +1,167 @@
+// Properties Panel - edit a note's frontmatter as fields instead of YAML
+
+import { escapeHtml } from './search-manager.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+let saveRef = null;
+let current = null; // { path, properties, types, readOnly }
+
+export function initPropertiesPanel({ saveProperties }) {
+  saveRef = saveProperties;
+
+  const container = document.getElementById('properties-list');
+  if (!container) return;
+
+  container.addEventListener('change', (e) => {
+    const row = e.target.closest('.property-row');
+    if (row && !row.classList.contains('property-new')) updateProperty(row);
+  });
+
+  container.addEventListener('click', (e) => {
+    const remove = e.target.closest('.property-remove');
+    if (remove) {
+      removeProperty(remove.closest('.property-row').dataset.key);
+      return;
+    }
+    if (e.target.closest('.property-add')) addProperty();
+  });
+
+  container.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.closest('.property-new')) {
+      e.preventDefault();
+      addProperty();
+    }
+  });
+}
+
+export async function loadProperties(filePath, policy = {}) {
+  const container = document.getElementById('properties-list');
+  const countEl = document.getElementById('properties-count');
+  if (!container) return;
+
+  if (!filePath) {
+    current = null;
+    container.innerHTML = '<div class="empty-state">No file selected</div>';
+    if (countEl) countEl.textContent = '';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/properties/${encodeURIComponent(filePath)}`);
+    if (!response.ok) {
+      throw new Error('Failed to load properties');
+    }
+
+    const data = await response.json();
+    current = { ...data, readOnly: Boolean(policy.readOnly || policy.appendOnly) };
+
+    const count = Object.keys(current.properties).length;
+    if (countEl) countEl.textContent = count > 0 ? `(${count})` : '';
+    render(container);
+  } catch (err) {
+    console.error('Error loading properties:', err);
+    current = null;
+    container.innerHTML = '<div class="empty-state">Error loading properties</div>';
+    if (countEl) countEl.textContent = '';
+  }
+}
+
+function render(container) {
+  const entries = Object.entries(current.properties);
+  const rows = entries.map(([key, value]) => renderRow(key, value, current.types[key])).join('');
+
+  container.innerHTML = (rows || '<div class="empty-state">No properties</div>') + (current.readOnly ? '' : `
+    <div class="property-row property-new">
+      <input type="text" class="property-key" placeholder="Property" spellcheck="false">
+      <input type="text" class="property-value" placeholder="Value">
+      <button class="btn btn-secondary property-add" title="Add property">+</button>
+    </div>
+  `);
+}
+
+function renderRow(key, value, type) {
+  const disabled = current.readOnly ? 'disabled' : '';
+  let input;
+
+  if (type === 'boolean') {
+    input = `<input type="checkbox" class="property-value" ${value ? 'checked' : ''} ${disabled}>`;
+  } else if (type === 'number') {
+    input = `<input type="number" class="property-value" value="${escapeHtml(value)}" ${disabled}>`;
+  } else if (type === 'date' && DATE_ONLY.test(value)) {
+    input = `<input type="date" class="property-value" value="${escapeHtml(value)}" ${disabled}>`;
+  } else if (type === 'list') {
+    input = `<input type="text" class="property-value" value="${escapeHtml(value.join(', '))}" placeholder="Comma separated" ${disabled}>`;
+  } else if (type === 'object') {
+    // Nested maps are shown but left to the YAML itself
+    input = `<code class="property-value">${escapeHtml(JSON.stringify(value))}</code>`;
+  } else {
+    input = `<input type="text" class="property-value" value="${escapeHtml(value ?? '')}" ${disabled}>`;
+  }
+
+  return `
+    <div class="property-row" data-key="${escapeHtml(key)}" data-type="${escapeHtml(type)}">
+      <span class="property-key" title="${escapeHtml(key)}">${escapeHtml(key)}</span>
+      ${input}
+      ${current.readOnly ? '' : '<button class="property-remove" title="Remove property">&times;</button>'}
+    </div>
+  `;
+}
+
+// Read a row's input back into a value of the property's type
+function readValue(row) {
+  const input = row.querySelector('input.property-value');
+  switch (row.dataset.type) {
+    case 'boolean':
+      return input.checked;
+    case 'number':
+      return input.value === '' ? null : Number(input.value);
+    case 'list':
+      return input.value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return input.value;
+  }
+}
+
+// A new property's type comes from what was typed: numbers, true/false,
+// dates and comma separated lists are recognized, anything else is text
+function parseTyped(text) {
+  const value = text.trim();
+  if (value === '') return '';
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.includes(',')) return value.split(',').map(item => item.trim()).filter(Boolean);
+  return value;
+}
+
+function updateProperty(row) {
+  const properties = { ...current.properties, [row.dataset.key]: readValue(row) };
+  save(properties);
+}
+
+function removeProperty(key) {
+  const properties = { ...current.properties };
+  delete properties[key];
+  save(properties);
+}
+
+function addProperty() {
+  const row = document.querySelector('#properties-list .property-new');
+  const key = row.querySelector('.property-key').value.trim();
+  if (!key) return;
+  if (Object.prototype.hasOwnProperty.call(current.properties, key)) {
+    alert(`"${key}" already exists`);
+    return;
+  }
+  save({ ...current.properties, [key]: parseTyped(row.querySelector('.property-value').value) });
+}
+
+async function save(properties) {
+  if (!current || !saveRef) return;
+  const { path } = current;
+  // On success the note is reloaded, which reloads this panel too
+  const saved = await saveRef(properties);
+  if (!saved && current?.path === path) {
+    render(document.getElementById('properties-list'));
+  }
+}
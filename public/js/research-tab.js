@@ -1,12 +1,17 @@
 // Research Tab - ArXiv papers
+import { getPreference } from './preferences.js';
+
 let researchData = null;
 let researchDataAlt = null;
 let availableDates = [];
 let refreshInterval = null;
+let preferredCategories = null; // the user's research categories, if any
 
 export async function initResearchTab() {
   console.log('Initializing Research tab...');
 
+  preferredCategories = await getPreference('researchCategories');
+
   // Load available dates first
   await loadAvailableDates();
 
@@ -127,7 +132,11 @@ function renderResearchSection(sectionData, sectionKey, fallbackLabel) {
   const label = sectionData.ranker?.label || fallbackLabel;
   const model = sectionData.ranker?.model;
   const labelWithModel = model ? `${label} · ${model}` : label;
-  const paperCount = sectionData.papers?.length || 0;
+  // Only the user's categories, when they have chosen some
+  const papers = preferredCategories?.length
+    ? (sectionData.papers || []).filter(paper => preferredCategories.includes(paper.category))
+    : (sectionData.papers || []);
+  const paperCount = papers.length;
   const dateLabel = sectionData.date ? formatDateLabel(sectionData.date) : 'Today';
 
   const sectionBadge = sectionKey === 'primary' ? 'Primary' : 'Secondary';
@@ -153,9 +162,9 @@ function renderResearchSection(sectionData, sectionKey, fallbackLabel) {
       </div>
   `;
 
-  if (sectionData.papers?.length > 0) {
+  if (papers.length > 0) {
     html += '<div class="papers-list">';
-    sectionData.papers.forEach((paper, index) => {
+    papers.forEach((paper, index) => {
       html += renderPaperCard(paper, index + 1, sectionKey);
     });
     html += '</div>';
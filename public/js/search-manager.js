@@ -20,6 +20,22 @@ export function escapeHtml(value) {
     .replace(/'/g, '&#39;');
 }
 
+// Render a matched line with its [start, end] highlight ranges marked
+function renderMatchLine(line, highlights = []) {
+  const leading = line.length - line.trimStart().length;
+  const text = line.trim();
+  let html = '';
+  let index = 0;
+  for (const [start, end] of highlights) {
+    const from = Math.max(start - leading, index);
+    const to = Math.min(end - leading, text.length);
+    if (to <= from) continue;
+    html += escapeHtml(text.slice(index, from)) + `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+    index = to;
+  }
+  return html + escapeHtml(text.slice(index));
+}
+
 // Emit search results into a read-only buffer tab
 function emitSearchBuffer(query, files) {
   const bufferManager = bufferManagerRef();
@@ -73,10 +89,12 @@ function enrichLocalSearchResults(rawFiles, query) {
     if (file.content) {
       const lines = file.content.split('\n');
       for (let i = 0; i < lines.length; i++) {
-        if (lines[i].toLowerCase().includes(lowerQuery)) {
+        const matchIndex = lines[i].toLowerCase().indexOf(lowerQuery);
+        if (matchIndex !== -1) {
           result.contentMatch = true;
           result.lineNumber = i + 1;
           result.matchLine = lines[i];
+          result.highlights = [[matchIndex, matchIndex + query.length]];
 
           if (isTagQuery) {
             const baseIndent = lines[i].match(/^(\s*)/)[1].length;
@@ -153,7 +171,7 @@ export function initSearch() {
           let preview = '';
           if (file.matchLine) {
             const lineLabel = file.lineNumber ? `<span class="search-result-line">L${file.lineNumber}</span> ` : '';
-            preview = `<div class="search-result-context">${lineLabel}${escapeHtml(file.matchLine.trim())}</div>`;
+            preview = `<div class="search-result-context">${lineLabel}${renderMatchLine(file.matchLine, file.highlights)}</div>`;
           } else if (file.context) {
             preview = `<div class="search-result-context">${escapeHtml(file.context)}</div>`;
           }
@@ -219,9 +237,24 @@ export async function loadTags() {
 
   try {
     let tags;
+    const dbReady = dbInitRef && dbInitRef() && db && db.db;
 
-    // Try IndexedDB first for instant results
-    if (dbInitRef && dbInitRef() && db && db.db) {
+    // The server also knows frontmatter and nested tags; cache its answer
+    if (navigator.onLine) {
+      try {
+        const response = await fetch('/api/tags');
+        if (response.ok) {
+          tags = await response.json();
+          if (dbReady) db.saveTags(tags).catch(err => console.error('Tag cache error:', err));
+        }
+      } catch (err) {
+        console.error('Server tags error:', err);
+        tags = null;
+      }
+    }
+
+    // Fall back to IndexedDB when offline
+    if (!tags && dbReady) {
       try {
         tags = await db.getTags();
         // Sort by count
@@ -232,11 +265,7 @@ export async function loadTags() {
       }
     }
 
-    // Fallback to server
-    if (!tags) {
-      const response = await fetch('/api/tags');
-      tags = await response.json();
-    }
+    if (!tags) tags = [];
 
     if (tags.length === 0) {
       tagsList.innerHTML = '<div class="tags-empty">No tags found</div>';
@@ -282,7 +311,7 @@ async function searchByTag(tag) {
           let preview = '';
           if (file.matchLine) {
             const lineLabel = file.lineNumber ? `<span class="search-result-line">L${file.lineNumber}</span> ` : '';
-            preview = `<div class="search-result-context">${lineLabel}${escapeHtml(file.matchLine.trim())}</div>`;
+            preview = `<div class="search-result-context">${lineLabel}${renderMatchLine(file.matchLine, file.highlights)}</div>`;
           }
           return `
             <div class="search-result" onclick="openFile('${file.path.replace(/'/g, "\\'")}')">
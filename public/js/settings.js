@@ -0,0 +1,108 @@
+// Settings page: create, list and revoke personal API tokens
+
+const tokenList = document.getElementById('token-list');
+const tokenForm = document.getElementById('token-form');
+const tokenError = document.getElementById('token-error');
+
+async function loadTokens() {
+  try {
+    const response = await fetch('/api/me/tokens');
+    if (!response.ok) throw new Error('Failed to load tokens');
+    const { tokens } = await response.json();
+    renderTokens(tokens);
+  } catch (err) {
+    console.error('Error loading tokens:', err);
+    tokenList.innerHTML = '<tr><td colspan="6" class="token-empty">Could not load tokens</td></tr>';
+  }
+}
+
+function renderTokens(tokens) {
+  if (tokens.length === 0) {
+    tokenList.innerHTML = '<tr><td colspan="6" class="token-empty">No tokens yet</td></tr>';
+    return;
+  }
+
+  tokenList.innerHTML = tokens.map(token => {
+    const expired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+    return `
+      <tr class="${expired ? 'token-expired' : ''}">
+        <td>${escapeHtml(token.name)} <code class="token-prefix">${escapeHtml(token.prefix)}...</code></td>
+        <td>${token.scopes.map(scope => `<code>${escapeHtml(scope)}</code>`).join(' ')}</td>
+        <td title="${escapeHtml(token.createdAt)}">${formatDate(token.createdAt)}</td>
+        <td title="${escapeHtml(token.lastUsedAt || '')}">${token.lastUsedAt ? formatRelativeDate(token.lastUsedAt) : 'Never'}</td>
+        <td>${token.expiresAt ? (expired ? 'Expired' : formatDate(token.expiresAt)) : 'Never'}</td>
+        <td><button type="button" class="btn btn-secondary" data-revoke="${escapeHtml(token.id)}">Revoke</button></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function createToken(event) {
+  event.preventDefault();
+  tokenError.hidden = true;
+
+  const form = new FormData(tokenForm);
+  const expiresInDays = form.get('expiresInDays');
+  try {
+    const response = await fetch('/api/me/tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: form.get('name'),
+        scopes: form.getAll('scopes'),
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null
+      })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'Failed to create token');
+
+    document.getElementById('token-secret').textContent = data.token;
+    document.getElementById('token-created').hidden = false;
+    tokenForm.reset();
+    await loadTokens();
+  } catch (err) {
+    tokenError.textContent = err.message;
+    tokenError.hidden = false;
+  }
+}
+
+async function revokeToken(id) {
+  if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+  try {
+    const response = await fetch(`/api/me/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!response.ok) throw new Error('Failed to revoke token');
+    await loadTokens();
+  } catch (err) {
+    console.error('Error revoking token:', err);
+    alert(err.message);
+  }
+}
+
+function formatDate(isoString) {
+  return new Date(isoString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function formatRelativeDate(isoString) {
+  const diffMinutes = Math.floor((Date.now() - new Date(isoString)) / (1000 * 60));
+  if (diffMinutes < 1) return 'Just now';
+  if (diffMinutes < 60) return `${diffMinutes}m ago`;
+  const diffHours = Math.floor(diffMinutes / 60);
+  if (diffHours < 24) return `${diffHours}h ago`;
+  const diffDays = Math.floor(diffHours / 24);
+  if (diffDays < 7) return `${diffDays}d ago`;
+  return formatDate(isoString);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+tokenForm.addEventListener('submit', createToken);
+tokenList.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-revoke]');
+  if (button) revokeToken(button.dataset.revoke);
+});
+
+loadTokens();
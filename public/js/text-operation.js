@@ -0,0 +1,332 @@
+// Plain-text operational transformation, shared by the server
+// (server/services/whiteboard.js) and the whiteboard page.
+//
+// An operation is an array of components applied left to right:
+//   positive integer  - retain that many characters
+//   string            - insert the string
+//   negative integer  - delete that many characters
+// An operation must span the whole document it is applied to.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TextOperation = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  function isRetain(c) { return typeof c === 'number' && c > 0; }
+  function isInsert(c) { return typeof c === 'string'; }
+  function isDelete(c) { return typeof c === 'number' && c < 0; }
+
+  // Builders keep operations normalized: adjacent components of the same
+  // kind are merged and inserts always come before deletes
+  function retain(ops, n) {
+    if (n === 0) return ops;
+    if (isRetain(ops[ops.length - 1])) {
+      ops[ops.length - 1] += n;
+    } else {
+      ops.push(n);
+    }
+    return ops;
+  }
+
+  function insert(ops, str) {
+    if (str === '') return ops;
+    const last = ops[ops.length - 1];
+    if (isInsert(last)) {
+      ops[ops.length - 1] += str;
+    } else if (isDelete(last)) {
+      if (isInsert(ops[ops.length - 2])) {
+        ops[ops.length - 2] += str;
+      } else {
+        ops[ops.length - 1] = str;
+        ops.push(last);
+      }
+    } else {
+      ops.push(str);
+    }
+    return ops;
+  }
+
+  function remove(ops, n) {
+    if (n === 0) return ops;
+    if (n > 0) n = -n;
+    if (isDelete(ops[ops.length - 1])) {
+      ops[ops.length - 1] += n;
+    } else {
+      ops.push(n);
+    }
+    return ops;
+  }
+
+  function isValid(op) {
+    return Array.isArray(op) && op.every(c =>
+      (Number.isInteger(c) && c !== 0) || (typeof c === 'string' && c !== ''));
+  }
+
+  function baseLength(op) {
+    return op.reduce((len, c) => (isInsert(c) ? len : len + Math.abs(c)), 0);
+  }
+
+  function targetLength(op) {
+    return op.reduce((len, c) => {
+      if (isRetain(c)) return len + c;
+      if (isInsert(c)) return len + c.length;
+      return len;
+    }, 0);
+  }
+
+  function isNoop(op) {
+    return op.length === 0 || (op.length === 1 && isRetain(op[0]));
+  }
+
+  function apply(doc, op) {
+    if (baseLength(op) !== doc.length) {
+      throw new Error('Operation base length does not match document length');
+    }
+    let result = '';
+    let index = 0;
+    for (const c of op) {
+      if (isRetain(c)) {
+        result += doc.slice(index, index + c);
+        index += c;
+      } else if (isInsert(c)) {
+        result += c;
+      } else {
+        index -= c;
+      }
+    }
+    return result;
+  }
+
+  // Combine a then b into a single operation with the same effect
+  function compose(a, b) {
+    if (targetLength(a) !== baseLength(b)) {
+      throw new Error('Cannot compose operations: lengths do not line up');
+    }
+    const result = [];
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = a[i1++];
+    let op2 = b[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        remove(result, op1);
+        op1 = a[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        insert(result, op2);
+        op2 = b[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot compose operations: one is too short');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          retain(result, op2);
+          op1 -= op2;
+          op2 = b[i2++];
+        } else if (op1 === op2) {
+          retain(result, op1);
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          retain(result, op1);
+          op2 -= op1;
+          op1 = a[i1++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = b[i2++];
+        } else if (op1.length === -op2) {
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          op2 += op1.length;
+          op1 = a[i1++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          insert(result, op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = b[i2++];
+        } else if (op1.length === op2) {
+          insert(result, op1);
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          insert(result, op1);
+          op2 -= op1.length;
+          op1 = a[i1++];
+        }
+      } else if (isRetain(op1) && isDelete(op2)) {
+        if (op1 > -op2) {
+          remove(result, op2);
+          op1 += op2;
+          op2 = b[i2++];
+        } else if (op1 === -op2) {
+          remove(result, op2);
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          remove(result, op1);
+          op2 += op1;
+          op1 = a[i1++];
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Transform two concurrent operations on the same document into
+   * [a', b'] such that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+   * When both insert at the same position, a's text ends up first.
+   */
+  function transform(a, b) {
+    if (baseLength(a) !== baseLength(b)) {
+      throw new Error('Cannot transform operations: base lengths differ');
+    }
+    const aPrime = [];
+    const bPrime = [];
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = a[i1++];
+    let op2 = b[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        insert(aPrime, op1);
+        retain(bPrime, op1.length);
+        op1 = a[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        retain(aPrime, op2.length);
+        insert(bPrime, op2);
+        op2 = b[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot transform operations: one is too short');
+      }
+
+      let length;
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          length = op2;
+          op1 -= op2;
+          op2 = b[i2++];
+        } else if (op1 === op2) {
+          length = op2;
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          length = op1;
+          op2 -= op1;
+          op1 = a[i1++];
+        }
+        retain(aPrime, length);
+        retain(bPrime, length);
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both deleted the same text; neither needs to delete it again
+        if (-op1 > -op2) {
+          op1 -= op2;
+          op2 = b[i2++];
+        } else if (op1 === op2) {
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          op2 -= op1;
+          op1 = a[i1++];
+        }
+      } else if (isDelete(op1) && isRetain(op2)) {
+        if (-op1 > op2) {
+          length = op2;
+          op1 += op2;
+          op2 = b[i2++];
+        } else if (-op1 === op2) {
+          length = op2;
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          length = -op1;
+          op2 += op1;
+          op1 = a[i1++];
+        }
+        remove(aPrime, length);
+      } else if (isRetain(op1) && isDelete(op2)) {
+        if (op1 > -op2) {
+          length = -op2;
+          op1 += op2;
+          op2 = b[i2++];
+        } else if (op1 === -op2) {
+          length = op1;
+          op1 = a[i1++];
+          op2 = b[i2++];
+        } else {
+          length = op1;
+          op2 += op1;
+          op1 = a[i1++];
+        }
+        remove(bPrime, length);
+      }
+    }
+    return [aPrime, bPrime];
+  }
+
+  // Smallest single-edit operation turning oldText into newText
+  function fromDiff(oldText, newText) {
+    let prefix = 0;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix &&
+      oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const op = [];
+    retain(op, prefix);
+    insert(op, newText.slice(prefix, newText.length - suffix));
+    remove(op, oldText.length - prefix - suffix);
+    retain(op, suffix);
+    return op;
+  }
+
+  // Move a cursor position through an operation
+  function transformIndex(op, index) {
+    let newIndex = index;
+    let remaining = index;
+    for (const c of op) {
+      if (isRetain(c)) {
+        remaining -= c;
+      } else if (isInsert(c)) {
+        newIndex += c.length;
+      } else {
+        newIndex -= Math.min(remaining, -c);
+        remaining += c;
+      }
+      if (remaining < 0) break;
+    }
+    return newIndex;
+  }
+
+  return {
+    isValid,
+    baseLength,
+    targetLength,
+    isNoop,
+    apply,
+    compose,
+    transform,
+    fromDiff,
+    transformIndex
+  };
+});
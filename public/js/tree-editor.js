@@ -247,7 +247,7 @@ export function initTreeEditor({
       return;
     }
     const label = state.selected.type === 'folder' ? 'folder' : 'file';
-    const confirmed = confirm(`Delete ${label} "${state.selected.path}"?\n\nThis cannot be undone.`);
+    const confirmed = confirm(`Move ${label} "${state.selected.path}" to the trash?`);
     if (!confirmed) return;
 
     const response = await fetch(`/api/tree/${encodeURIComponent(state.type)}`, {
@@ -48,6 +48,20 @@ export function initKeyboardShortcuts() {
       openQuickSwitcher();
     }
 
+    // Ctrl+Alt+D: Today's daily note; Ctrl+Alt+Left/Right: the previous or
+    // next daily note, from a daily note
+    if (e.ctrlKey && e.altKey && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      await openDailyNote('today');
+    }
+    if (e.ctrlKey && e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+      const date = getCurrentFile()?.path.match(DAILY_NOTE_PATTERN)?.[1];
+      if (date) {
+        e.preventDefault();
+        await stepDailyNote(date, e.key === 'ArrowLeft' ? 'previous' : 'next');
+      }
+    }
+
     // Escape: Close modals
     if (e.key === 'Escape') {
       closeAllModals();
@@ -55,6 +69,44 @@ export function initKeyboardShortcuts() {
   });
 }
 
+// Daily notes
+const DAILY_NOTE_PATTERN = /(?:^|\/)(\d{4}-\d{2}-\d{2})\.md$/;
+
+// Open the daily note for a date (YYYY-MM-DD or "today"), creating it
+// from the template if needed
+export async function openDailyNote(date) {
+  try {
+    const response = await fetch(`/api/daily/${encodeURIComponent(date)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to open daily note');
+    if (!data.file) {
+      showNotification(`No daily note for ${data.date}`, 'warning');
+      return;
+    }
+    await openFile(data.path);
+  } catch (err) {
+    console.error('Error opening daily note:', err);
+    showNotification(err.message, 'error');
+  }
+}
+
+// Move to the nearest earlier or later daily note that exists
+async function stepDailyNote(date, direction) {
+  try {
+    const response = await fetch(`/api/daily/${date}?create=false`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to find daily notes');
+    if (data[direction]) {
+      await openDailyNote(data[direction]);
+    } else {
+      showNotification(`No ${direction} daily note`, 'info');
+    }
+  } catch (err) {
+    console.error('Error finding daily notes:', err);
+    showNotification(err.message, 'error');
+  }
+}
+
 // Quick Switcher
 async function openQuickSwitcher() {
   const modal = document.getElementById('quick-switcher');
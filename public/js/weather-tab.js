@@ -1,4 +1,6 @@
 // Weather Tab - Local Weather + Space Weather + Star Chart
+import { getPreference, setPreference } from './preferences.js';
+
 let weatherData = null;
 let refreshInterval = null;
 let userLocation = null;
@@ -31,15 +33,11 @@ export async function initWeatherTab() {
 }
 
 async function getUserLocation() {
-  // Check for stored location preference
-  const stored = localStorage.getItem('weather-location');
+  // Check for a saved location preference
+  const stored = await getPreference('weatherLocation');
   if (stored) {
-    try {
-      userLocation = JSON.parse(stored);
-      return;
-    } catch (e) {
-      // Invalid stored location
-    }
+    userLocation = stored;
+    return;
   }
 
   // Try geolocation
@@ -56,7 +54,7 @@ async function getUserLocation() {
         lon: position.coords.longitude,
         name: 'Current Location'
       };
-      localStorage.setItem('weather-location', JSON.stringify(userLocation));
+      setPreference('weatherLocation', userLocation);
       return;
     } catch (e) {
       console.warn('Geolocation failed:', e.message);
@@ -9,6 +9,8 @@ const STATIC_ASSETS = [
   '/js/app.js',
   '/js/editor.js',
   '/js/backlinks.js',
+  '/js/properties-panel.js',
+  '/js/preferences.js',
   '/js/weather-tab.js',
   '/js/star-chart.js',
   '/js/file-manager.js',
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write to a temp file in the same directory, fsync it, then rename over the
+// target. rename() is atomic on the same filesystem, so readers only ever see
+// the old file or the complete new one, never a half-written file.
+function tempPathFor(filePath) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath);
+  return path.join(dir, `.${base}.${process.pid}.${Date.now()}.tmp`);
+}
+
+function writeFileAtomicSync(filePath, data) {
+  const tmpPath = tempPathFor(filePath);
+  let fd = null;
+  try {
+    fd = fs.openSync(tmpPath, 'w');
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    if (fd !== null) fs.closeSync(fd);
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+async function writeFileAtomic(filePath, data) {
+  const tmpPath = tempPathFor(filePath);
+  let handle = null;
+  try {
+    handle = await fs.promises.open(tmpPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (err) {
+    if (handle) await handle.close();
+    await fs.promises.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+module.exports = { writeFileAtomic, writeFileAtomicSync };
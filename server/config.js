@@ -2,30 +2,41 @@ const fs = require('fs');
 const path = require('path');
 
 const configPath = path.join(__dirname, '..', 'config.json');
+const DEFAULT_SESSION_SECRET = 'default-secret-change-me';
 
 function loadConfig() {
   let config = {
     port: 3000,
-    sessionSecret: 'default-secret-change-me'
+    sessionSecret: DEFAULT_SESSION_SECRET,
+    auth: {
+      publicWhiteboard: true,
+      sessionDays: 30
+    }
   };
   
   if (fs.existsSync(configPath)) {
     const raw = fs.readFileSync(configPath, 'utf-8');
-    config = { ...config, ...JSON.parse(raw) };
+    const saved = JSON.parse(raw);
+    config = { ...config, ...saved, auth: { ...config.auth, ...saved.auth } };
   }
 
   return config;
 }
 
 function saveConfig(updatedConfig) {
-  // Read raw config to preserve formatting of non-path fields
-  const raw = fs.readFileSync(configPath, 'utf-8');
-  const config = JSON.parse(raw);
+  // Read raw config to preserve formatting of non-path fields. On first run
+  // there is no config.json yet; it is created with just the saved fields.
+  const config = fs.existsSync(configPath)
+    ? JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    : {};
 
   // Update only specific fields
   if (updatedConfig.passwordHash !== undefined) {
     config.passwordHash = updatedConfig.passwordHash;
   }
+  if (updatedConfig.sessionSecret !== undefined) {
+    config.sessionSecret = updatedConfig.sessionSecret;
+  }
 
   fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
 }
@@ -35,3 +46,4 @@ module.exports = loadConfig();
 module.exports.loadConfig = loadConfig;
 module.exports.saveConfig = saveConfig;
 module.exports.configPath = configPath;
+module.exports.DEFAULT_SESSION_SECRET = DEFAULT_SESSION_SECRET;
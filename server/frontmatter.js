@@ -0,0 +1,51 @@
+const matter = require('gray-matter');
+
+// gray-matter evaluates ---js and ---coffee frontmatter as code; notes only
+// get YAML, and any other language is no frontmatter at all
+const refuse = language => () => {
+  throw new Error(`${language} frontmatter is not supported`);
+};
+const OPTIONS = {
+  language: 'yaml',
+  engines: { js: refuse('js'), javascript: refuse('javascript'), coffee: refuse('coffee'), coffeescript: refuse('coffeescript') }
+};
+
+/**
+ * Split a note into its YAML frontmatter and body. Invalid YAML is treated
+ * as no frontmatter rather than an error, since notes are hand-edited.
+ * `bodyLine` is the 1-based line the body starts on in the original note.
+ */
+function parseFrontmatter(content) {
+  try {
+    // A fresh options object keeps gray-matter from caching every note it sees
+    const parsed = matter(content, { ...OPTIONS });
+    if (parsed.language !== 'yaml') {
+      return { data: {}, body: content, bodyLine: 1, error: `${parsed.language} frontmatter is not supported` };
+    }
+    const bodyStart = content.length - parsed.content.length;
+    return {
+      data: parsed.data || {},
+      body: parsed.content,
+      bodyLine: content.substring(0, bodyStart).split('\n').length
+    };
+  } catch (err) {
+    return { data: {}, body: content, bodyLine: 1, error: err.message };
+  }
+}
+
+/**
+ * Replace a note's frontmatter with `data`, keeping the body as is. An empty
+ * `data` removes the frontmatter block.
+ */
+function replaceFrontmatter(content, data) {
+  const { body } = parseFrontmatter(content);
+  if (Object.keys(data).length === 0) return body.replace(/^\n/, '');
+
+  // js-yaml quotes date-like strings; leave them bare like hand-written dates
+  const block = matter.stringify('', data)
+    .replace(/^(\s*(?:- |[^\n:]+: ))'(\d{4}-\d{2}-\d{2})'$/gm, '$1$2')
+    .replace(/\n+$/, '\n');
+  return block + body;
+}
+
+module.exports = { parseFrontmatter, replaceFrontmatter };
@@ -8,24 +8,78 @@ require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const config = require('./config');
 const { errorHandler } = require('./middleware/error-handler');
+const { attachSession, requireAuth, requireRole, requireScope } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rate-limit');
+const { auditRequests } = require('./middleware/audit');
 const logger = require('./logger');
+const WhiteboardService = require('./services/whiteboard');
+const VaultService = require('./services/vault');
+const SearchIndex = require('./services/search-index');
+const TagIndex = require('./services/tag-index');
+const LinkIndex = require('./services/link-index');
+const GraphService = require('./services/graph');
+const PropertyIndex = require('./services/property-index');
+const UserService = require('./services/users');
+const AuthService = require('./services/auth');
+const TokenService = require('./services/tokens');
+const AuditLog = require('./services/audit');
+const ModerationService = require('./services/moderation');
+const AttachmentService = require('./services/attachments');
+const VaultWatcher = require('./services/vault-watcher');
+const VaultHistory = require('./services/vault-history');
+const DailyNotes = require('./services/daily-notes');
 
 const app = express();
 
-// Simple in-memory whiteboard storage
-const whiteboard = {
-  content: '# Welcome to the Public Whiteboard\n\nStart typing...',
-  lastModified: new Date().toISOString()
-};
+// Whiteboard rooms, persisted under server/data/whiteboard/
+const whiteboardService = new WhiteboardService(config);
 
-// Make whiteboard and config available to routes
-app.locals.whiteboard = whiteboard;
+// Audit trail (server/data/audit/) and whiteboard moderation: locks,
+// read-only windows and content filters
+const auditLog = new AuditLog(config);
+const moderationService = new ModerationService(config);
+
+// User accounts (server/data/users/), their API tokens and login sessions
+const userService = new UserService(config);
+const tokenService = new TokenService(userService);
+const authService = new AuthService(config, userService, tokenService);
+
+// Markdown notes vault (config.vault.path, default ./vault)
+const vaultService = new VaultService(config);
+
+// Changes made to the vault on disk by other programs
+const vaultWatcher = new VaultWatcher(config, vaultService);
+
+// Every saved change, committed to the vault's own history repository (.h3lper-history)
+const vaultHistory = new VaultHistory(config, vaultService);
+
+// Images and other files for notes, in the vault's attachments folder
+const attachmentService = new AttachmentService(config, vaultService);
+
+// Search, tags, links and properties over the vault, kept current from
+// vault changes
+const searchIndex = new SearchIndex(vaultService);
+const tagIndex = new TagIndex(vaultService);
+const linkIndex = new LinkIndex(vaultService, searchIndex);
+const propertyIndex = new PropertyIndex(vaultService);
+const graphService = new GraphService(config, vaultService, { searchIndex, tagIndex, linkIndex });
+
+// Make whiteboards and config available to routes
+app.locals.whiteboardService = whiteboardService;
 app.locals.config = config;
 
+// Behind a reverse proxy, set config.trustProxy (e.g. 1 or "loopback") so
+// req.ip, which rate limits key on, is the real client
+if (config.trustProxy !== undefined) app.set('trust proxy', config.trustProxy);
+
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: config.bodyLimit || '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../public')));
+// Every mutating request is audited, including ones refused before they
+// reach a route (bad tokens, missing logins, rate limits)
+app.use(auditRequests(auditLog));
+app.use(attachSession(authService));
 
 // View engine
 app.set('view engine', 'ejs');
@@ -33,35 +87,112 @@ app.set('views', path.join(__dirname, '../views'));
 
 // Routes
 const pageRoutes = require('./routes/pages');
-const { setupHelperRoutes } = require('./routes/helper-api');
+const authRoutes = require('./routes/auth');
+const { setupAuthRoutes } = require('./routes/auth');
+const { setupHelperRoutes, getHelperServices } = require('./routes/helper-api');
 const helperApiRoutes = require('./routes/helper-api');
+const whiteboardApiRoutes = require('./routes/whiteboard-api');
+const { setupWhiteboardRoutes, roomsRouter: whiteboardRoomRoutes } = require('./routes/whiteboard-api');
+const vaultApiRoutes = require('./routes/vault-api');
+const { setupVaultRoutes } = require('./routes/vault-api');
+const attachmentsApiRoutes = require('./routes/attachments-api');
+const { setupAttachmentRoutes } = require('./routes/attachments-api');
+const dailyApiRoutes = require('./routes/daily-api');
+const { setupDailyRoutes } = require('./routes/daily-api');
+const searchApiRoutes = require('./routes/search-api');
+const { setupSearchRoutes } = require('./routes/search-api');
+const graphApiRoutes = require('./routes/graph-api');
+const { setupGraphRoutes } = require('./routes/graph-api');
+const propertiesApiRoutes = require('./routes/properties-api');
+const { setupPropertyRoutes } = require('./routes/properties-api');
+const usersApiRoutes = require('./routes/users-api');
+const { setupUserRoutes } = require('./routes/users-api');
+const auditApiRoutes = require('./routes/audit-api');
+const { setupAuditRoutes } = require('./routes/audit-api');
 const EmbeddingsService = require('./services/embeddings');
 
 // Initialize helper services
 const embeddingsService = new EmbeddingsService(config);
+// Daily notes pull weather and research from the helper services
+const dailyNotes = new DailyNotes(config, vaultService, getHelperServices);
+setupAuthRoutes(authService);
 setupHelperRoutes(config, embeddingsService);
+setupWhiteboardRoutes(whiteboardService, moderationService);
+setupVaultRoutes(vaultService, vaultWatcher, vaultHistory);
+setupAttachmentRoutes(config, attachmentService);
+setupDailyRoutes(dailyNotes, userService);
+setupSearchRoutes(searchIndex, tagIndex, linkIndex);
+setupGraphRoutes(graphService);
+setupPropertyRoutes(propertyIndex, vaultService);
+setupUserRoutes(userService, tokenService);
+setupAuditRoutes(auditLog);
 
-// Whiteboard API routes
-app.get('/api/whiteboard', (req, res) => {
-  res.json(whiteboard);
-});
+// Login, first-run admin setup and logout
+app.use('/', authRoutes);
 
-app.put('/api/whiteboard', (req, res) => {
-  const { content } = req.body;
-  if (typeof content === 'string') {
-    whiteboard.content = content;
-    whiteboard.lastModified = new Date().toISOString();
-    res.json({ success: true, lastModified: whiteboard.lastModified });
-  } else {
-    res.status(400).json({ error: 'Invalid content' });
-  }
+// The vault needs a login, and viewers can only read it. The whiteboard
+// and its helper tabs stay public unless config.auth.publicWhiteboard is
+// false, in which case they follow the same rules. Requests made with an
+// API token also need the token's scope for the area.
+const requireLogin = requireAuth();
+const requireEditorForWrites = requireRole('editor', { writesOnly: true });
+const whiteboardAccess = config.auth.publicWhiteboard ? [] : [requireLogin, requireEditorForWrites];
+
+// Per-IP rate limits on the public writes: live edits (ops, presence) are
+// frequent and small, plain saves and room changes less so, and forced
+// helper refreshes are expensive
+const isWrite = req => !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+const isLiveEdit = req => req.method === 'POST' && /\/(ops|presence)$/.test(req.path);
+const whiteboardLimits = [
+  rateLimit(config, 'whiteboardLive', { match: isLiveEdit }),
+  rateLimit(config, 'whiteboardSave', { match: req => isWrite(req) && !isLiveEdit(req) })
+];
+const helperRefreshLimit = rateLimit(config, 'helperRefresh', {
+  match: req => (req.method === 'POST' ? req.path === '/refresh' : req.query.refresh === 'true')
 });
 
-// Helper API routes (now public)
-app.use('/api/helper', helperApiRoutes);
+// Whiteboard API routes (/api/whiteboard is the default room)
+app.use('/api/whiteboard', ...whiteboardLimits, requireScope('whiteboard'), ...whiteboardAccess, whiteboardApiRoutes);
+app.use('/api/whiteboards', ...whiteboardLimits, requireScope('whiteboard'), ...whiteboardAccess, whiteboardRoomRoutes);
+
+// Helper API routes; forcing a refresh always needs an editor
+app.post('/api/helper/refresh', requireLogin, requireScope('helper'), requireRole('editor'));
+app.use('/api/helper', helperRefreshLimit, requireScope('helper'), ...whiteboardAccess, helperApiRoutes);
 
-// Page routes (now public)
-app.use('/', pageRoutes);
+// Every other API route needs a login
+app.use('/api', requireLogin);
+
+// Account, preferences, API tokens and user management (/api/me,
+// /api/users)
+app.use('/api', usersApiRoutes);
+
+// Audit log for admins (/api/audit)
+app.use('/api', auditApiRoutes);
+
+// The rest is the vault
+app.use('/api', requireScope('vault'), requireEditorForWrites);
+
+// Vault API routes (/api/files, /api/tree, /api/trash, /api/events and
+// note history under /api/files/<path>/...)
+app.use('/api', vaultApiRoutes);
+
+// Attachment upload and download (/api/attachments)
+app.use('/api', attachmentsApiRoutes);
+
+// Daily notes, created from a template (/api/daily)
+app.use('/api', dailyApiRoutes);
+
+// Search API routes (/api/search, /api/tags, /api/backlinks)
+app.use('/api', searchApiRoutes);
+
+// Frontmatter API routes (/api/properties, /api/query)
+app.use('/api', propertiesApiRoutes);
+
+// Note graph API routes
+app.use('/api/graph', graphApiRoutes);
+
+// Page routes (the whiteboard rooms)
+app.use('/', ...whiteboardAccess, pageRoutes);
 
 // Central error handler (must be registered after all routes)
 app.use(errorHandler);
@@ -69,9 +200,33 @@ app.use(errorHandler);
 // Initialize
 async function initialize() {
   logger.info('init', 'Server initializing...');
-  logger.info('init', 'Public whiteboard ready');
+  userService.load();
+  tokenService.load();
+  whiteboardService.load();
+  logger.info('init', 'Public whiteboards ready');
+  await searchIndex.load();
+  await tagIndex.load();
+  await linkIndex.load();
+  await propertyIndex.load();
+  await vaultHistory.init();
+  await vaultWatcher.start();
+  vaultService.trash.startAutoPurge();
 }
 
+// Flush pending writes before exiting (also covers `node --watch` restarts)
+function shutdown(signal) {
+  logger.info('server', `Received ${signal}, shutting down`);
+  whiteboardService.flush();
+  vaultWatcher.stop();
+  vaultService.attribution.flush();
+  tokenService.flush();
+  // Pending history commits run git, so wait for them
+  vaultHistory.flush().finally(() => process.exit(0));
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // Start server
 const PORT = config.port || 3000;
 const USE_HTTPS = config.https?.enabled || false;
@@ -0,0 +1,48 @@
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Paths that change nothing worth keeping: cursor positions
+const SKIP_PATTERN = /\/presence$/;
+
+/**
+ * Add what a route knows about its change to the request's audit entry,
+ * e.g. { target, sizeDelta }. Noting a read makes it audited too, for reads
+ * with side effects such as a forced refresh.
+ */
+function noteAudit(res, fields) {
+  res.locals.audit = { ...res.locals.audit, ...fields };
+}
+
+/**
+ * Record every mutating request in `audit` once its response is sent: who
+ * (user and IP), method and path, the status, and whatever the route noted.
+ * Failed requests carry the error they got.
+ */
+function auditRequests(audit) {
+  return (req, res, next) => {
+    const path = req.originalUrl.split('?')[0];
+    if (SKIP_PATTERN.test(path)) return next();
+
+    res.on('finish', () => {
+      const { target = null, sizeDelta = null, ...noted } = res.locals.audit || {};
+      if (READ_METHODS.includes(req.method) && !res.locals.audit) return;
+
+      const status = res.statusCode;
+      audit.record({
+        user: req.user?.username || null,
+        ip: req.ip,
+        token: req.token?.name,
+        method: req.method,
+        path,
+        status,
+        outcome: status < 400 ? 'ok' : status < 500 ? 'rejected' : 'failed',
+        target,
+        sizeDelta,
+        ...noted,
+        error: res.locals.error
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { auditRequests, noteAudit };
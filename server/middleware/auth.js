@@ -0,0 +1,79 @@
+const { AppError } = require('./error-handler');
+const { roleRank } = require('../services/users');
+const { hasScope } = require('../services/tokens');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Mark every request with its session and user (null when logged out),
+// for views and later middleware. API calls may instead carry an API token,
+// which sets `req.token`; a bad token is refused rather than treated as
+// logged out.
+function attachSession(auth) {
+  return (req, res, next) => {
+    const tokenSession = req.path.startsWith('/api/') ? auth.getTokenSession(req) : null;
+    if (tokenSession === false) {
+      return next(new AppError('Invalid or expired API token', 401, 'UNAUTHORIZED'));
+    }
+
+    req.session = tokenSession || auth.getSession(req);
+    req.user = req.session?.user || null;
+    req.token = tokenSession?.token || null;
+    res.locals.authenticated = Boolean(req.user);
+    res.locals.user = req.user;
+    next();
+  };
+}
+
+// Only let logged-in requests through. API calls get a 401; page loads are
+// sent to the login page and come back afterwards.
+function requireAuth() {
+  return (req, res, next) => {
+    if (req.user) return next();
+
+    if (req.originalUrl.startsWith('/api/')) {
+      return next(new AppError('Login required', 401, 'UNAUTHORIZED'));
+    }
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
+
+// Require at least `role` (viewer < editor < admin). With `writesOnly`,
+// reads are let through and only changes need the role.
+function requireRole(role, { writesOnly = false } = {}) {
+  return (req, res, next) => {
+    if (writesOnly && READ_METHODS.includes(req.method)) return next();
+    if (!req.user) {
+      return next(new AppError('Login required', 401, 'UNAUTHORIZED'));
+    }
+    if (roleRank(req.user.role) < roleRank(role)) {
+      return next(new AppError(`Requires the ${role} role`, 403, 'FORBIDDEN'));
+    }
+    next();
+  };
+}
+
+// Requests made with an API token need the scope for `area`: `area:read`
+// to read, `area:write` to change anything. Browser sessions pass.
+function requireScope(area) {
+  return (req, res, next) => {
+    if (!req.token) return next();
+    const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    if (!hasScope(req.token.scopes, area, access)) {
+      return next(new AppError(`This token lacks the ${area}:${access} scope`, 403, 'FORBIDDEN'));
+    }
+    next();
+  };
+}
+
+// Account and token management is only for browser sessions, so a leaked
+// token can't be used to mint more
+function requireSession() {
+  return (req, res, next) => {
+    if (req.token) {
+      return next(new AppError('API tokens cannot manage accounts', 403, 'FORBIDDEN'));
+    }
+    next();
+  };
+}
+
+module.exports = { attachSession, requireAuth, requireRole, requireScope, requireSession };
@@ -9,6 +9,22 @@ class AppError extends Error {
   }
 }
 
+// A write refused by a path's policy; the policy goes back to the client
+class PolicyError extends AppError {
+  constructor(message, policy) {
+    super(message, 403, 'POLICY_VIOLATION');
+    this.policy = policy;
+  }
+}
+
+// Too many requests; `retryAfter` seconds goes back as the Retry-After header
+class RateLimitError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, 429, 'RATE_LIMITED', { retryAfter });
+    this.retryAfter = retryAfter;
+  }
+}
+
 // Wrap async route handlers to catch errors
 function asyncHandler(fn) {
   return (req, res, next) => {
@@ -18,10 +34,11 @@ function asyncHandler(fn) {
 
 // Central error handling middleware (must be registered last)
 function errorHandler(err, req, res, _next) {
-  const statusCode = err.statusCode || err.code === 'ENOENT' ? 404 : 500;
+  const statusCode = err.statusCode || (err.code === 'ENOENT' ? 404 : 500);
   const code = err.code && typeof err.code === 'string' && err.code !== 'ENOENT'
     ? err.code
-    : statusCode === 404 ? 'NOT_FOUND' : 'INTERNAL_ERROR';
+    : statusCode === 404 ? 'NOT_FOUND'
+      : err.type === 'entity.too.large' ? 'PAYLOAD_TOO_LARGE' : 'INTERNAL_ERROR';
 
   const response = {
     error: err.message || 'Internal server error',
@@ -36,6 +53,13 @@ function errorHandler(err, req, res, _next) {
     response.policy = err.policy;
   }
 
+  // For the audit entry of the request
+  res.locals.error = { code, message: response.error };
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Only log server errors at error level; client errors at warn
   if (statusCode >= 500) {
     logger.error('http', `${req.method} ${req.originalUrl} -> ${statusCode}`, err);
@@ -46,4 +70,4 @@ function errorHandler(err, req, res, _next) {
   res.status(statusCode).json(response);
 }
 
-module.exports = { AppError, asyncHandler, errorHandler };
+module.exports = { AppError, PolicyError, RateLimitError, asyncHandler, errorHandler };
@@ -0,0 +1,59 @@
+const { RateLimitError } = require('./error-handler');
+
+// Per-IP limits for each route group: up to `burst` requests at once,
+// refilling at `perMinute`. Override in config.rateLimits, or set a group to
+// false to turn its limit off.
+const DEFAULT_LIMITS = {
+  whiteboardSave: { burst: 20, perMinute: 30 },
+  whiteboardLive: { burst: 200, perMinute: 600 },
+  helperRefresh: { burst: 3, perMinute: 2 }
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Token-bucket rate limit for one route group, keyed by client IP (set
+ * config.trustProxy behind a reverse proxy so that is the real client).
+ * `match` picks the requests that count; the rest pass untouched.
+ */
+function rateLimit(config, group, { match = () => true } = {}) {
+  const override = config.rateLimits?.[group];
+  if (override === false) {
+    return (req, res, next) => next();
+  }
+
+  const { burst, perMinute } = { ...DEFAULT_LIMITS[group], ...override };
+  const refillPerMs = perMinute / 60000;
+  const buckets = new Map(); // ip -> { tokens, updated }
+  let lastSweep = Date.now();
+
+  // A bucket that has had time to refill is the same as no bucket
+  function sweep(now) {
+    lastSweep = now;
+    for (const [ip, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updated) * refillPerMs >= burst) buckets.delete(ip);
+    }
+  }
+
+  return (req, res, next) => {
+    if (!match(req)) return next();
+
+    const now = Date.now();
+    if (now - lastSweep > SWEEP_INTERVAL_MS) sweep(now);
+
+    const bucket = buckets.get(req.ip) || { tokens: burst, updated: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    bucket.updated = now;
+    buckets.set(req.ip, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return next();
+    }
+
+    const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+    next(new RateLimitError(`Too many requests; try again in ${retryAfter}s`, retryAfter));
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,43 @@
+// scrypt password hashes, stored as "scrypt$N$r$p$salt$key" so the cost
+// parameters can be raised later without invalidating existing hashes.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AppError } = require('./middleware/error-handler');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'INVALID_PARAM');
+  }
+}
+
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, N, r, p, salt, expected] = parts;
+  const expectedKey = Buffer.from(expected, 'base64');
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64'), expectedKey.length, {
+    N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r)
+  });
+  return crypto.timingSafeEqual(key, expectedKey);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  hashPassword,
+  verifyPassword
+};
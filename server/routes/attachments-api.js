@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/error-handler');
+const { noteAudit } = require('../middleware/audit');
+
+// Set in setupAttachmentRoutes
+let attachmentService = null;
+let cacheSeconds = 86400;
+
+function setupAttachmentRoutes(config, attachments) {
+  attachmentService = attachments;
+  cacheSeconds = config.attachments?.cacheSeconds ?? 86400;
+}
+
+// === ATTACHMENTS ENDPOINTS ===
+
+// multipart/form-data with one file in the "file" field
+router.post('/attachments', asyncHandler(async (req, res) => {
+  const result = await attachmentService.upload(req, { user: req.user?.username });
+  noteAudit(res, { target: result.path, sizeDelta: result.size });
+  res.status(201).json({ success: true, ...result });
+}));
+
+// Attachments are only ever added under new names, so they cache well;
+// the ETag still catches a file replaced on disk
+router.get('/attachments/:name(*)', asyncHandler(async (req, res, next) => {
+  const file = await attachmentService.open(req.params.name);
+
+  res.set({
+    'Content-Type': file.type,
+    'Cache-Control': `private, max-age=${cacheSeconds}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox"
+  });
+  if (file.download) res.attachment(file.path.split('/').pop());
+
+  res.sendFile(file.absolute, { cacheControl: false, lastModified: true, etag: true }, err => {
+    if (err && !res.headersSent) next(err);
+  });
+}));
+
+module.exports = router;
+module.exports.setupAttachmentRoutes = setupAttachmentRoutes;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { requireRole, requireSession } = require('../middleware/auth');
+
+const OUTCOMES = ['ok', 'rejected', 'failed'];
+const FILTERS = ['user', 'ip', 'method', 'path', 'target'];
+
+// Set in setupAuditRoutes
+let auditLog = null;
+
+function setupAuditRoutes(audit) {
+  auditLog = audit;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new AppError(`${name} must be a date or ISO time`, 400, 'INVALID_PARAM');
+  }
+  return new Date(time).toISOString();
+}
+
+// === AUDIT ENDPOINTS (admin) ===
+
+// Newest first: ?user=&ip=&method=&path=<prefix>&target=<substring>
+// &outcome=ok|rejected|failed&since=&until=&offset=0&limit=50
+router.get('/audit', requireSession(), requireRole('admin'), asyncHandler(async (req, res) => {
+  const query = {};
+  for (const name of FILTERS) {
+    if (req.query[name]) query[name] = String(req.query[name]);
+  }
+  if (req.query.outcome) {
+    if (!OUTCOMES.includes(req.query.outcome)) {
+      throw new AppError(`outcome must be one of ${OUTCOMES.join(', ')}`, 400, 'INVALID_PARAM');
+    }
+    query.outcome = req.query.outcome;
+  }
+  query.since = parseTime(req.query.since, 'since');
+  query.until = parseTime(req.query.until, 'until');
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  const { entries, hasMore } = await auditLog.query({ ...query, offset, limit });
+  res.json({ entries, offset, limit, hasMore });
+}));
+
+module.exports = router;
+module.exports.setupAuditRoutes = setupAuditRoutes;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { noteAudit } = require('../middleware/audit');
+const { MIN_PASSWORD_LENGTH } = require('../passwords');
+const logger = require('../logger');
+
+// Set in setupAuthRoutes
+let authService = null;
+
+function setupAuthRoutes(auth) {
+  authService = auth;
+}
+
+// Only same-site paths, so ?next= can't bounce a login to another host
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\')
+    ? next
+    : '/';
+}
+
+function renderLogin(res, { next = '/', error = null, status = 200, username = '' } = {}) {
+  res.status(status).render('login', {
+    setup: !authService.isConfigured(),
+    next,
+    error,
+    username,
+    minLength: MIN_PASSWORD_LENGTH
+  });
+}
+
+// === LOGIN ENDPOINTS ===
+
+router.get('/login', (req, res) => {
+  const next = safeNext(req.query.next);
+  if (req.user) return res.redirect(next);
+  renderLogin(res, { next });
+});
+
+router.post('/login', asyncHandler(async (req, res) => {
+  const next = safeNext(req.body.next);
+  if (!authService.isConfigured()) return res.redirect('/login');
+
+  const username = String(req.body.username || '').trim();
+  noteAudit(res, { target: username });
+  const user = await authService.users.authenticate(username, String(req.body.password || ''));
+  if (!user) {
+    logger.warn('auth', 'Failed login', { username, ip: req.ip });
+    return renderLogin(res, { next, username, error: 'Incorrect username or password', status: 401 });
+  }
+
+  authService.startSession(req, res, user);
+  res.redirect(next);
+}));
+
+// First run: create the admin account. Refused once any account exists.
+router.post('/login/setup', asyncHandler(async (req, res) => {
+  const next = safeNext(req.body.next);
+  if (authService.isConfigured()) {
+    throw new AppError('Setup has already been completed', 409, 'CONFLICT');
+  }
+
+  const { username, password, confirm } = req.body;
+  noteAudit(res, { target: username });
+  if (password !== confirm) {
+    return renderLogin(res, { next, username, error: 'Passwords do not match', status: 400 });
+  }
+  let user;
+  try {
+    user = await authService.setup({ username, password });
+  } catch (err) {
+    if (err.statusCode !== 400) throw err;
+    return renderLogin(res, { next, username, error: err.message, status: 400 });
+  }
+
+  authService.startSession(req, res, user);
+  res.redirect(next);
+}));
+
+router.post('/logout', (req, res) => {
+  authService.endSession(req, res);
+  res.redirect('/login');
+});
+
+module.exports = router;
+module.exports.setupAuthRoutes = setupAuthRoutes;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/error-handler');
+const { noteAudit } = require('../middleware/audit');
+const { roleRank } = require('../services/users');
+const { hasScope } = require('../services/tokens');
+
+// Set in setupDailyRoutes
+let dailyNotes = null;
+let userService = null;
+
+function setupDailyRoutes(daily, users) {
+  dailyNotes = daily;
+  userService = users;
+}
+
+// Opening a missing daily note creates it, which is a write: only for
+// editors, and for tokens with vault:write
+function canCreate(req) {
+  if (roleRank(req.user?.role) < roleRank('editor')) return false;
+  return !req.token || hasScope(req.token.scopes, 'vault', 'write');
+}
+
+// === DAILY NOTES ENDPOINTS ===
+
+// Get or create the note for a date (YYYY-MM-DD or "today"), with the
+// nearest earlier and later daily notes: ?create=false only looks
+router.get('/daily/:date', asyncHandler(async (req, res) => {
+  const create = req.query.create !== 'false' && canCreate(req);
+  // A new note's weather is for the user's own location, when they set one
+  const location = create && req.user ? userService.getPreferences(req.user.id).weatherLocation : null;
+  const result = await dailyNotes.get(req.params.date, { create, user: req.user?.username, location });
+  if (result.created) {
+    noteAudit(res, { target: result.path, sizeDelta: result.file?.size ?? 0 });
+  }
+  res.status(result.created ? 201 : 200).json(result);
+}));
+
+module.exports = router;
+module.exports.setupDailyRoutes = setupDailyRoutes;
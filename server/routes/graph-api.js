@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { EDGE_TYPES } = require('../services/graph');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+// Set in setupGraphRoutes
+let graphService = null;
+
+function setupGraphRoutes(graph) {
+  graphService = graph;
+}
+
+// === GRAPH ENDPOINTS ===
+
+// Whole-vault or local graph:
+//   ?types=link,embed,tag  ?tag=#project  ?folder=Projects  ?focus=Note.md&depth=2
+router.get('/', asyncHandler(async (req, res) => {
+  const { tag, folder, focus } = req.query;
+
+  const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : EDGE_TYPES;
+  const unknown = types.filter(type => !EDGE_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown edge type: ${unknown.join(', ')}. Valid options: ${EDGE_TYPES.join(', ')}`, 400, 'INVALID_PARAM');
+  }
+
+  const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new AppError('depth must be a non-negative integer', 400, 'INVALID_PARAM');
+  }
+
+  const graph = await graphService.build({
+    types,
+    tag: tag ? String(tag) : null,
+    folder: folder ? String(folder) : null,
+    focus: focus ? String(focus) : null,
+    depth
+  });
+  res.json(graph);
+}));
+
+module.exports = router;
+module.exports.setupGraphRoutes = setupGraphRoutes;
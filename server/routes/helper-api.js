@@ -7,7 +7,8 @@ const StocksService = require('../services/stocks');
 const ClaudeService = require('../services/claude');
 const OpenAIResponsesService = require('../services/openai-responses');
 const AstronomyService = require('../services/astronomy');
-const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { AppError, RateLimitError, asyncHandler } = require('../middleware/error-handler');
+const { noteAudit } = require('../middleware/audit');
 const logger = require('../logger');
 
 // Initialize services (will be overridden in setupHelperRoutes)
@@ -20,7 +21,49 @@ let claudeService = null;
 let secondaryRankerService = null;
 let astronomyService = null;
 
+// Forced refreshes of news and research rerun the Claude ranking and
+// embeddings, so each can be forced at most once per cooldown
+let refreshCooldownMs = 5 * 60 * 1000;
+const lastForcedRefresh = new Map(); // service -> timestamp
+
+// Claim a forced refresh of `service`: 0 if it may run now, otherwise the
+// seconds until it may
+function claimForcedRefresh(service) {
+  const wait = (lastForcedRefresh.get(service) || 0) + refreshCooldownMs - Date.now();
+  if (wait > 0) return Math.ceil(wait / 1000);
+  lastForcedRefresh.set(service, Date.now());
+  return 0;
+}
+
+// Run a refresh; when a forced one fails, give its cooldown slot back so
+// the next attempt isn't refused for a refresh that never happened
+async function releaseOnFailure(service, forced, refresh) {
+  try {
+    return await refresh();
+  } catch (err) {
+    if (forced) lastForcedRefresh.delete(service);
+    throw err;
+  }
+}
+
+// `?refresh=true` on a read is a hint: during the cooldown the cached data
+// is served instead. Refreshes that do run are audited.
+function wantsForcedRefresh(req, res, service) {
+  if (req.query.refresh !== 'true' || claimForcedRefresh(service) > 0) return false;
+  noteAudit(res, { target: service });
+  return true;
+}
+
+function requireForcedRefresh(service) {
+  const retryAfter = claimForcedRefresh(service);
+  if (retryAfter > 0) {
+    throw new RateLimitError(`${service} was refreshed recently; try again in ${retryAfter}s`, retryAfter);
+  }
+}
+
 function setupHelperRoutes(config, embeddingsService) {
+  refreshCooldownMs = (config.helper?.refreshCooldownSeconds ?? 300) * 1000;
+
   // Initialize Claude service for ranking
   claudeService = new ClaudeService();
   if (claudeService.isAvailable()) {
@@ -166,8 +209,8 @@ router.get('/sky', asyncHandler(async (req, res) => {
 // === NEWS ENDPOINTS ===
 
 router.get('/news', asyncHandler(async (req, res) => {
-  const forceRefresh = req.query.refresh === 'true';
-  const news = await newsService.getNews(forceRefresh);
+  const forceRefresh = wantsForcedRefresh(req, res, 'news');
+  const news = await releaseOnFailure('news', forceRefresh, () => newsService.getNews(forceRefresh));
   res.json(news);
 }));
 
@@ -175,15 +218,15 @@ router.get('/news', asyncHandler(async (req, res) => {
 
 router.get('/research', asyncHandler(async (req, res) => {
   const { date } = req.query;
-  const forceRefresh = req.query.refresh === 'true';
-  const research = await researchService.getResearch(date, forceRefresh);
+  const forceRefresh = wantsForcedRefresh(req, res, 'research');
+  const research = await releaseOnFailure('research', forceRefresh, () => researchService.getResearch(date, forceRefresh));
   res.json(research);
 }));
 
 router.get('/research/alt', asyncHandler(async (req, res) => {
   const { date } = req.query;
-  const forceRefresh = req.query.refresh === 'true';
-  const research = await researchServiceAlt.getResearch(date, forceRefresh);
+  const forceRefresh = wantsForcedRefresh(req, res, 'research-alt');
+  const research = await releaseOnFailure('research-alt', forceRefresh, () => researchServiceAlt.getResearch(date, forceRefresh));
   res.json(research);
 }));
 
@@ -210,6 +253,7 @@ router.get('/stocks', asyncHandler(async (req, res) => {
 
 router.post('/refresh', asyncHandler(async (req, res) => {
   const { service } = req.body;
+  noteAudit(res, { target: service });
 
   switch (service) {
     case 'weather': {
@@ -225,19 +269,22 @@ router.post('/refresh', asyncHandler(async (req, res) => {
     }
 
     case 'news': {
-      const news = await newsService.getNews(true);
+      requireForcedRefresh('news');
+      const news = await releaseOnFailure('news', true, () => newsService.getNews(true));
       res.json({ service: 'news', data: news });
       break;
     }
 
     case 'research': {
-      const research = await researchService.getResearch(null, true);
+      requireForcedRefresh('research');
+      const research = await releaseOnFailure('research', true, () => researchService.getResearch(null, true));
       res.json({ service: 'research', data: research });
       break;
     }
 
     case 'research-alt': {
-      const researchAlt = await researchServiceAlt.getResearch(null, true);
+      requireForcedRefresh('research-alt');
+      const researchAlt = await releaseOnFailure('research-alt', true, () => researchServiceAlt.getResearch(null, true));
       res.json({ service: 'research-alt', data: researchAlt });
       break;
     }
@@ -253,5 +300,12 @@ router.post('/refresh', asyncHandler(async (req, res) => {
   }
 }));
 
+// The helper services, once setupHelperRoutes has created them, for other
+// features that reuse their cached data
+function getHelperServices() {
+  return { weatherService, researchService };
+}
+
 module.exports = router;
 module.exports.setupHelperRoutes = setupHelperRoutes;
+module.exports.getHelperServices = getHelperServices;
@@ -1,15 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const { DEFAULT_ID } = require('../services/whiteboard');
+const { SCOPES } = require('../services/tokens');
+const { roleRank } = require('../services/users');
+const { requireAuth } = require('../middleware/auth');
 
-// Main page - simple whiteboard view
-router.get('/', async (req, res) => {
+function renderWhiteboard(req, res, id) {
   try {
+    const whiteboardService = req.app.locals.whiteboardService;
+    const whiteboard = whiteboardService.get(id);
+    if (!whiteboard) {
+      return res.status(404).render('error', { error: `Whiteboard "${id}" not found` });
+    }
     res.render('editor-simple', {
-      whiteboard: req.app.locals.whiteboard
+      whiteboard: whiteboard.get(),
+      etag: whiteboard.getEtag(),
+      boards: whiteboardService.list()
     });
   } catch (err) {
     res.status(500).render('error', { error: err.message });
   }
+}
+
+// Main page - the default whiteboard room
+router.get('/', (req, res) => renderWhiteboard(req, res, DEFAULT_ID));
+
+// Named whiteboard rooms
+router.get('/w/:id', (req, res) => renderWhiteboard(req, res, req.params.id));
+
+// Account settings and API tokens
+router.get('/settings', requireAuth(), (req, res) => {
+  res.render('settings', { scopes: SCOPES, roleRank });
+});
+
+// Audit log viewer (admins)
+router.get('/admin/audit', requireAuth(), (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).render('error', { error: 'Requires the admin role' });
+  }
+  res.render('audit');
 });
 
 module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { noteAudit } = require('../middleware/audit');
+const { typeOf } = require('../services/property-index');
+
+// Set in setupPropertyRoutes
+let propertyIndex = null;
+let vaultService = null;
+
+function setupPropertyRoutes(properties, vault) {
+  propertyIndex = properties;
+  vaultService = vault;
+}
+
+function describe(properties) {
+  return Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, typeOf(value)]));
+}
+
+// === PROPERTY ENDPOINTS ===
+
+// Every frontmatter key in the vault with how often each kind of value occurs
+router.get('/properties', (req, res) => {
+  res.json(propertyIndex.list());
+});
+
+router.get('/properties/:filePath(*)', asyncHandler(async (req, res) => {
+  const file = await vaultService.readFile(req.params.filePath);
+  const properties = propertyIndex.getProperties(file.path);
+  res.json({ path: file.path, properties, types: describe(properties), modified: file.modified });
+}));
+
+// Replace a note's frontmatter: { properties, lastModified }
+router.put('/properties/:filePath(*)', asyncHandler(async (req, res) => {
+  const { properties, lastModified } = req.body;
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new AppError('properties must be an object', 400, 'INVALID_PARAM');
+  }
+  if (Object.keys(properties).some(key => !key.trim())) {
+    throw new AppError('Property names cannot be empty', 400, 'INVALID_PARAM');
+  }
+
+  noteAudit(res, { target: req.params.filePath });
+  const result = await propertyIndex.setProperties(req.params.filePath, properties, { lastModified, user: req.user?.username });
+  noteAudit(res, { target: result.path, sizeDelta: result.size - result.previousSize });
+  res.json({ success: true, ...result, types: describe(result.properties) });
+}));
+
+// === QUERY ENDPOINTS ===
+
+// Notes by property: ?where=status=draft&where=due<2026-11-01
+// &where=tags contains x&sort=due&order=desc&limit=50
+router.get('/query', (req, res) => {
+  const where = [].concat(req.query.where || []);
+  const sort = String(req.query.sort || 'path');
+  const order = String(req.query.order || 'asc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new AppError('order must be asc or desc', 400, 'INVALID_PARAM');
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+
+  res.json(propertyIndex.query({ where, sort, order, limit }));
+});
+
+module.exports = router;
+module.exports.setupPropertyRoutes = setupPropertyRoutes;
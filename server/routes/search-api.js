@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+
+// Set in setupSearchRoutes
+let searchIndex = null;
+let tagIndex = null;
+let linkIndex = null;
+
+function setupSearchRoutes(search, tags, links) {
+  searchIndex = search;
+  tagIndex = tags;
+  linkIndex = links;
+}
+
+// === SEARCH ENDPOINTS ===
+
+// Ranked full-text search: ?q=<query>&limit=<n>
+router.get('/search', asyncHandler(async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    throw new AppError('q query parameter is required', 400, 'MISSING_PARAM');
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  res.json(searchIndex.search(query, { limit }));
+}));
+
+// === TAG ENDPOINTS ===
+
+// Inline and frontmatter tags, nested tags rolled up into their parents
+router.get('/tags', (req, res) => {
+  res.json(tagIndex.list());
+});
+
+// === BACKLINK ENDPOINTS ===
+
+// Notes linking to a note, then notes mentioning its title without a link
+// (skipped with ?unlinked=false)
+router.get('/backlinks/:filePath(*)', asyncHandler(async (req, res) => {
+  const { filePath } = req.params;
+  const backlinks = linkIndex.getBacklinks(filePath);
+  const unlinked = req.query.unlinked === 'false' ? [] : linkIndex.getUnlinkedMentions(filePath);
+  res.json([...backlinks, ...unlinked]);
+}));
+
+module.exports = router;
+module.exports.setupSearchRoutes = setupSearchRoutes;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { requireRole, requireSession } = require('../middleware/auth');
+const { noteAudit } = require('../middleware/audit');
+const { verifyPassword } = require('../passwords');
+const { SCOPES } = require('../services/tokens');
+
+// Set in setupUserRoutes
+let userService = null;
+let tokenService = null;
+
+function setupUserRoutes(users, tokens) {
+  userService = users;
+  tokenService = tokens;
+}
+
+const sessionOnly = requireSession();
+const adminOnly = [sessionOnly, requireRole('admin')];
+
+// === ACCOUNT ENDPOINTS ===
+
+router.get('/me', (req, res) => {
+  res.json(req.user);
+});
+
+// Change your own display name or password; a new password needs the
+// current one
+router.patch('/me', sessionOnly, asyncHandler(async (req, res) => {
+  const { displayName, password, currentPassword } = req.body;
+  const changes = {};
+  if (displayName !== undefined) changes.displayName = displayName;
+  if (password !== undefined) {
+    const account = userService.get(req.user.id);
+    if (!(await verifyPassword(String(currentPassword || ''), account.passwordHash))) {
+      throw new AppError('Current password is incorrect', 403, 'FORBIDDEN');
+    }
+    changes.password = password;
+  }
+
+  res.json(await userService.update(req.user.id, changes));
+}));
+
+router.get('/me/preferences', (req, res) => {
+  res.json(userService.getPreferences(req.user.id));
+});
+
+// Merge into your preferences; a null value clears that preference
+router.put('/me/preferences', sessionOnly, (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    throw new AppError('Preferences must be an object', 400, 'INVALID_PARAM');
+  }
+  res.json(userService.updatePreferences(req.user.id, req.body));
+});
+
+// === API TOKEN ENDPOINTS ===
+
+// Your tokens (never the secrets) and the scopes a new one may have
+router.get('/me/tokens', sessionOnly, (req, res) => {
+  res.json({ tokens: tokenService.list(req.user.id), scopes: SCOPES });
+});
+
+// { name, scopes, expiresInDays }; the response carries the token itself,
+// which is the only time it is shown
+router.post('/me/tokens', sessionOnly, (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  noteAudit(res, { target: name });
+  const token = tokenService.create(req.user, { name, scopes, expiresInDays: expiresInDays ?? null });
+  res.status(201).json(token);
+});
+
+router.delete('/me/tokens/:id', sessionOnly, (req, res) => {
+  noteAudit(res, { target: req.params.id });
+  const token = tokenService.revoke(req.user.id, req.params.id);
+  noteAudit(res, { target: token.name });
+  res.json({ success: true, token });
+});
+
+// === USER MANAGEMENT ENDPOINTS (admin) ===
+
+router.get('/users', adminOnly, (req, res) => {
+  res.json(userService.list());
+});
+
+router.post('/users', adminOnly, asyncHandler(async (req, res) => {
+  const { username, password, role, displayName } = req.body;
+  noteAudit(res, { target: username });
+  const user = await userService.create({ username, password, role, displayName });
+  res.status(201).json(user);
+}));
+
+// { displayName, role, password, disabled }
+router.patch('/users/:id', adminOnly, asyncHandler(async (req, res) => {
+  const { displayName, role, password, disabled } = req.body;
+  noteAudit(res, { target: userService.get(req.params.id)?.username || req.params.id });
+  res.json(await userService.update(req.params.id, { displayName, role, password, disabled }));
+}));
+
+router.delete('/users/:id', adminOnly, (req, res) => {
+  noteAudit(res, { target: userService.get(req.params.id)?.username || req.params.id });
+  if (req.params.id === req.user.id) {
+    throw new AppError('You cannot delete your own account', 400, 'INVALID_PARAM');
+  }
+  const user = userService.remove(req.params.id);
+  tokenService.revokeAll(user.id);
+  res.json({ success: true, user });
+});
+
+module.exports = router;
+module.exports.setupUserRoutes = setupUserRoutes;
@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { noteAudit } = require('../middleware/audit');
+const Broadcaster = require('../services/broadcaster');
+
+// Set in setupVaultRoutes
+let vaultService = null;
+let historyService = null;
+
+// Open pages listening for notes changed on disk
+const vaultEvents = new Broadcaster('vault-events');
+
+function setupVaultRoutes(vault, watcher, history) {
+  vaultService = vault;
+  historyService = history;
+  watcher.on('change', changes => vaultEvents.broadcast('change', { changes }));
+}
+
+// === FILES ENDPOINTS ===
+
+// Flat list of notes; ?folder= limits it to one folder's subtree
+router.get('/files', asyncHandler(async (req, res) => {
+  const files = await vaultService.listFiles(req.query.folder || '');
+  res.json(files);
+}));
+
+// === HISTORY ENDPOINTS ===
+// Registered before GET /files/:filePath so the suffixes aren't read as
+// part of the note's path
+
+// Revisions of a note, newest first: ?limit=50
+router.get('/files/:filePath(*)/history', asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const revisions = await historyService.log(req.params.filePath, { limit });
+  res.json({ path: vaultService.normalizePath(req.params.filePath), revisions });
+}));
+
+router.get('/files/:filePath(*)/revisions/:rev', asyncHandler(async (req, res) => {
+  const revision = await historyService.read(req.params.filePath, req.params.rev);
+  res.json(revision);
+}));
+
+// Last change to each line: ?rev= for an older revision
+router.get('/files/:filePath(*)/blame', asyncHandler(async (req, res) => {
+  const lines = await historyService.blame(req.params.filePath, req.query.rev || null);
+  res.json({ path: vaultService.normalizePath(req.params.filePath), lines });
+}));
+
+// Save a note's content from an older revision as a new change: { rev }
+router.post('/files/:filePath(*)/restore', asyncHandler(async (req, res) => {
+  noteAudit(res, { target: req.params.filePath, restoredFrom: req.body.rev });
+  const revision = await historyService.read(req.params.filePath, req.body.rev);
+  const result = await vaultService.writeFile(req.params.filePath, revision.content, { user: req.user?.username });
+  noteAudit(res, { target: result.path, sizeDelta: result.size - result.previousSize });
+  res.json({ success: true, ...result, restoredFrom: revision.rev });
+}));
+
+router.get('/files/:filePath(*)', asyncHandler(async (req, res) => {
+  const file = await vaultService.readFile(req.params.filePath);
+  res.json(file);
+}));
+
+router.put('/files/:filePath(*)', asyncHandler(async (req, res) => {
+  const { content, lastModified } = req.body;
+  if (typeof content !== 'string') {
+    throw new AppError('content must be a string', 400, 'INVALID_PARAM');
+  }
+
+  noteAudit(res, { target: req.params.filePath });
+  const result = await vaultService.writeFile(req.params.filePath, content, { lastModified, user: req.user?.username });
+  noteAudit(res, { target: result.path, sizeDelta: result.size - result.previousSize });
+  res.json({ success: true, ...result });
+}));
+
+// Moves the note to the trash; ?permanent=true deletes it for good
+router.delete('/files/:filePath(*)', asyncHandler(async (req, res) => {
+  noteAudit(res, { target: req.params.filePath });
+  const permanent = req.query.permanent === 'true';
+  const result = await vaultService.deleteFile(req.params.filePath, { user: req.user?.username, permanent });
+  noteAudit(res, { target: result.path, sizeDelta: -result.size, trashId: result.trashId ?? undefined });
+  res.json({ success: true, ...result });
+}));
+
+// === EVENTS ENDPOINTS ===
+
+// Event stream of notes changed outside the app: 'change' events carrying
+// { changes: [{ path, type: 'write' | 'delete', modified }] }
+router.get('/events', (req, res) => {
+  vaultEvents.addClient(req, res, { user: req.user?.username || null });
+});
+
+// === POLICY ENDPOINTS ===
+
+// Effective editing policy for a note or folder: ?path=<vault path>
+router.get('/policy', asyncHandler(async (req, res) => {
+  if (typeof req.query.path !== 'string') {
+    throw new AppError('path query parameter is required', 400, 'MISSING_PARAM');
+  }
+  const policy = await vaultService.getPolicy(req.query.path);
+  res.json({ path: vaultService.normalizePath(req.query.path), ...policy });
+}));
+
+// === TREE ENDPOINTS ===
+
+// Nested folder listing for tree-editor.js
+router.get('/tree', asyncHandler(async (req, res) => {
+  const type = req.query.type || 'files';
+  if (type !== 'files') {
+    throw new AppError('Unknown tree type. Valid options: files', 400, 'INVALID_PARAM');
+  }
+  const items = await vaultService.getTree(req.query.folder || '');
+  res.json({ type, items });
+}));
+
+function requireTreeType(req) {
+  if (req.params.type !== 'files') {
+    throw new AppError('Unknown tree type. Valid options: files', 400, 'INVALID_PARAM');
+  }
+}
+
+// Create a file or folder: { path, nodeType: 'file' | 'folder', content }
+router.post('/tree/:type', asyncHandler(async (req, res) => {
+  requireTreeType(req);
+  const { path: nodePath, nodeType = 'file', content = '' } = req.body;
+  if (typeof nodePath !== 'string' || !nodePath) {
+    throw new AppError('path is required', 400, 'MISSING_PARAM');
+  }
+  noteAudit(res, { target: nodePath });
+
+  if (nodeType === 'folder') {
+    const result = await vaultService.createFolder(nodePath);
+    return res.status(201).json({ success: true, nodeType, ...result });
+  }
+  if (nodeType !== 'file') {
+    throw new AppError('nodeType must be "file" or "folder"', 400, 'INVALID_PARAM');
+  }
+  if (typeof content !== 'string') {
+    throw new AppError('content must be a string', 400, 'INVALID_PARAM');
+  }
+
+  const result = await vaultService.createFile(nodePath, content, { user: req.user?.username });
+  noteAudit(res, { target: result.path, sizeDelta: result.size });
+  res.status(201).json({ success: true, nodeType, ...result });
+}));
+
+// Rename or move a file or folder: { from, to }
+const renameNode = asyncHandler(async (req, res) => {
+  requireTreeType(req);
+  const { from, to } = req.body;
+  if (typeof from !== 'string' || typeof to !== 'string') {
+    throw new AppError('from and to are required', 400, 'MISSING_PARAM');
+  }
+
+  noteAudit(res, { target: `${from} -> ${to}` });
+  const result = await vaultService.movePath(from, to, { user: req.user?.username });
+  res.json({ success: true, ...result });
+});
+
+router.put('/tree/:type', renameNode);
+router.patch('/tree/:type', renameNode);
+
+// Delete a file or folder into the trash: { path, nodeType, hardDelete,
+// permanent }. hardDelete allows non-empty folders; permanent skips the trash.
+router.delete('/tree/:type', asyncHandler(async (req, res) => {
+  requireTreeType(req);
+  const { path: nodePath, nodeType = 'file', hardDelete = false, permanent = false } = req.body;
+  if (typeof nodePath !== 'string' || !nodePath) {
+    throw new AppError('path is required', 400, 'MISSING_PARAM');
+  }
+  noteAudit(res, { target: nodePath });
+
+  const options = { user: req.user?.username, permanent: permanent === true };
+  const result = nodeType === 'folder'
+    ? await vaultService.deleteFolder(nodePath, { ...options, recursive: Boolean(hardDelete) })
+    : await vaultService.deleteFile(nodePath, options);
+  noteAudit(res, { sizeDelta: -result.size, trashId: result.trashId ?? undefined });
+  res.json({ success: true, nodeType, ...result });
+}));
+
+// === TRASH ENDPOINTS ===
+
+// Trashed notes and folders, most recently deleted first
+router.get('/trash', asyncHandler(async (req, res) => {
+  const entries = await vaultService.trash.list();
+  res.json({ entries, retentionDays: vaultService.trash.retentionDays });
+}));
+
+// Put an entry back where it was, or at { to }
+router.post('/trash/:id/restore', asyncHandler(async (req, res) => {
+  const { to = null } = req.body || {};
+  if (to !== null && typeof to !== 'string') {
+    throw new AppError('to must be a vault path', 400, 'INVALID_PARAM');
+  }
+  noteAudit(res, { target: req.params.id });
+  const result = await vaultService.restoreFromTrash(req.params.id, { to, user: req.user?.username });
+  noteAudit(res, { target: result.path, trashId: result.id });
+  res.json({ success: true, ...result });
+}));
+
+// Purge one entry for good
+router.delete('/trash/:id', asyncHandler(async (req, res) => {
+  const entry = await vaultService.trash.get(req.params.id);
+  noteAudit(res, { target: entry.path, trashId: entry.id });
+  await vaultService.trash.remove(entry.id);
+  res.json({ success: true, id: entry.id, path: entry.path });
+}));
+
+// Empty the trash
+router.delete('/trash', asyncHandler(async (req, res) => {
+  const entries = await vaultService.trash.list();
+  for (const entry of entries) {
+    await vaultService.trash.remove(entry.id);
+  }
+  noteAudit(res, { target: `${entries.length} trash entries` });
+  res.json({ success: true, purged: entries.length });
+}));
+
+module.exports = router;
+module.exports.setupVaultRoutes = setupVaultRoutes;
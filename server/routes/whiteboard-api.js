@@ -0,0 +1,322 @@
+const express = require('express');
+const Broadcaster = require('../services/broadcaster');
+const TextOperation = require('../../public/js/text-operation');
+const { DEFAULT_ID } = require('../services/whiteboard');
+const { AppError, asyncHandler } = require('../middleware/error-handler');
+const { requireRole } = require('../middleware/auth');
+const { noteAudit } = require('../middleware/audit');
+
+// `router` serves the default room at /api/whiteboard; `roomsRouter` serves
+// /api/whiteboards. Both hand per-board requests to `boardRouter`.
+const router = express.Router();
+const roomsRouter = express.Router();
+const boardRouter = express.Router({ mergeParams: true });
+
+const PRESENCE_COLORS = ['#f87171', '#fb923c', '#facc15', '#4ade80', '#2dd4bf', '#60a5fa', '#a78bfa', '#f472b6'];
+
+// Set in setupWhiteboardRoutes
+let whiteboardService = null;
+let moderationService = null;
+const liveChannels = new Map();
+
+function setupWhiteboardRoutes(service, moderation) {
+  whiteboardService = service;
+  moderationService = moderation;
+
+  // Content filters see every change, whichever route it came through
+  whiteboardService.addGuard((board, content) => {
+    moderationService.checkContent(content, board.get().content);
+  });
+
+  // Every change, live or saved, reaches all open pages as an operation
+  whiteboardService.on('operation', (id, change) => {
+    liveChannels.get(id)?.broadcast('op', change);
+  });
+}
+
+function getLiveChannel(id) {
+  if (!liveChannels.has(id)) {
+    liveChannels.set(id, new Broadcaster(`whiteboard:${id}`));
+  }
+  return liveChannels.get(id);
+}
+
+function cleanName(name) {
+  const trimmed = String(name || '').replace(/\s+/g, ' ').trim().substring(0, 40);
+  return trimmed || 'Guest';
+}
+
+function cleanTitle(title) {
+  return String(title || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+}
+
+function colorFor(clientId) {
+  let hash = 0;
+  for (const ch of clientId) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+}
+
+// A deleted room's channel is gone; don't bring it back for the clients leaving it
+function broadcastPresence(id) {
+  const channel = liveChannels.get(id);
+  if (!channel) return;
+  channel.broadcast('presence', channel.list().map(client => client.meta));
+}
+
+function parseRev(value, name = 'rev') {
+  const rev = Number(value);
+  if (!Number.isInteger(rev) || rev < 1) {
+    throw new AppError(`${name} must be a positive integer`, 400, 'INVALID_PARAM');
+  }
+  return rev;
+}
+
+// Refuse changes while the board is locked or in a read-only window
+function requireWritable(req, res, next) {
+  noteAudit(res, { target: req.whiteboard.id });
+  moderationService.checkWritable(req.whiteboard);
+  next();
+}
+
+function byteLength(board) {
+  return Buffer.byteLength(board.get().content);
+}
+
+function broadcastModeration(board) {
+  liveChannels.get(board.id)?.broadcast('moderation', moderationService.readOnlyStatus(board));
+}
+
+function resolveBoard(req, res, next) {
+  const board = whiteboardService.get(req.params.id || DEFAULT_ID);
+  if (!board) {
+    return next(new AppError('Whiteboard not found', 404, 'NOT_FOUND'));
+  }
+  req.whiteboard = board;
+  next();
+}
+
+// Reject writes based on a stale copy, handing back the current content so
+// the client can merge instead of clobbering someone else's edit
+function checkPrecondition(req) {
+  const whiteboard = req.whiteboard;
+  if (whiteboard.matchesEtag(req.get('If-Match'))) return;
+
+  const board = whiteboard.get();
+  throw new AppError('Whiteboard was changed by someone else', 409, 'CONFLICT', {
+    serverContent: board.content,
+    lastModified: board.lastModified,
+    rev: board.rev,
+    etag: whiteboard.getEtag()
+  });
+}
+
+// === ROOM ENDPOINTS ===
+
+roomsRouter.get('/', (req, res) => {
+  res.json(whiteboardService.list());
+});
+
+roomsRouter.post('/', asyncHandler(async (req, res) => {
+  const title = cleanTitle(req.body.title);
+  const { id } = req.body;
+  if (!title) {
+    throw new AppError('title is required', 400, 'MISSING_PARAM');
+  }
+  if (id !== undefined && !whiteboardService.isValidId(id)) {
+    throw new AppError('id must be lowercase letters, digits and dashes (max 40)', 400, 'INVALID_PARAM');
+  }
+  if (id && whiteboardService.get(id)) {
+    throw new AppError(`Whiteboard "${id}" already exists`, 409, 'CONFLICT');
+  }
+  noteAudit(res, { target: id || title });
+  moderationService.checkContent(title, '');
+
+  const board = whiteboardService.create({ id, title });
+  noteAudit(res, { target: board.id, sizeDelta: byteLength(board) });
+  res.status(201).json(board.summary());
+}));
+
+roomsRouter.delete('/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (id === DEFAULT_ID) {
+    throw new AppError('The default whiteboard cannot be deleted', 400, 'INVALID_PARAM');
+  }
+  const board = whiteboardService.get(id);
+  if (!board) {
+    throw new AppError('Whiteboard not found', 404, 'NOT_FOUND');
+  }
+  noteAudit(res, { target: id, sizeDelta: -byteLength(board) });
+  moderationService.checkWritable(board);
+  whiteboardService.delete(id);
+
+  // Tell open pages the room is gone and close their streams
+  const channel = liveChannels.get(id);
+  if (channel) {
+    channel.broadcast('deleted', { id });
+    channel.list().forEach(client => client.res.end());
+    liveChannels.delete(id);
+  }
+  res.json({ success: true });
+}));
+
+// === WHITEBOARD ENDPOINTS ===
+
+boardRouter.get('/', (req, res) => {
+  res.set('ETag', req.whiteboard.getEtag());
+  res.json(req.whiteboard.get());
+});
+
+boardRouter.put('/', requireWritable, asyncHandler(async (req, res) => {
+  const { content, title } = req.body;
+  if (content === undefined && title === undefined) {
+    throw new AppError('content or title is required', 400, 'MISSING_PARAM');
+  }
+  if (content !== undefined && typeof content !== 'string') {
+    throw new AppError('Invalid content', 400, 'INVALID_PARAM');
+  }
+  if (title !== undefined && !cleanTitle(title)) {
+    throw new AppError('Invalid title', 400, 'INVALID_PARAM');
+  }
+  if (content !== undefined) {
+    checkPrecondition(req);
+  }
+  if (title !== undefined) {
+    moderationService.checkContent(cleanTitle(title), req.whiteboard.get().title);
+  }
+
+  // Content first: it can still be refused as too large or by a filter
+  const whiteboard = req.whiteboard;
+  const sizeBefore = byteLength(whiteboard);
+  const board = content !== undefined ? whiteboard.update(content, { user: req.user?.username }) : whiteboard.get();
+  if (title !== undefined) whiteboard.setTitle(cleanTitle(title));
+  noteAudit(res, { sizeDelta: byteLength(whiteboard) - sizeBefore });
+  const etag = whiteboard.getEtag();
+  res.set('ETag', etag);
+  res.json({ success: true, title: board.title, lastModified: board.lastModified, lastModifiedBy: board.lastModifiedBy, rev: board.rev, etag });
+}));
+
+// === LIVE COLLABORATION ENDPOINTS ===
+
+// Event stream: a snapshot on connect, then every operation and presence change
+boardRouter.get('/events', asyncHandler(async (req, res) => {
+  const clientId = String(req.query.clientId || '').substring(0, 64);
+  if (!clientId) {
+    throw new AppError('clientId query parameter is required', 400, 'MISSING_PARAM');
+  }
+
+  const id = req.whiteboard.id;
+  const channel = getLiveChannel(id);
+  const meta = { clientId, name: cleanName(req.query.name || req.user?.displayName), color: colorFor(clientId), line: null };
+  const client = channel.addClient(req, res, meta, () => broadcastPresence(id));
+  channel.send(client, 'snapshot', { ...req.whiteboard.getSnapshot(), moderation: moderationService.readOnlyStatus(req.whiteboard) });
+  broadcastPresence(id);
+}));
+
+boardRouter.post('/ops', requireWritable, asyncHandler(async (req, res) => {
+  const { clientId, epoch, version, seq, op } = req.body;
+  if (typeof clientId !== 'string' || !Number.isInteger(version) || !TextOperation.isValid(op)) {
+    throw new AppError('clientId, version and a valid op are required', 400, 'INVALID_PARAM');
+  }
+
+  const sizeBefore = byteLength(req.whiteboard);
+  const result = req.whiteboard.applyOperation({ epoch, version, op, clientId, seq, user: req.user?.username });
+  if (!result) {
+    throw new AppError('Whiteboard has moved on; resync from the latest snapshot', 409, 'RESYNC_REQUIRED');
+  }
+  noteAudit(res, { sizeDelta: byteLength(req.whiteboard) - sizeBefore });
+  res.json({ success: true, version: result.version });
+}));
+
+boardRouter.post('/presence', asyncHandler(async (req, res) => {
+  const { clientId, name, line } = req.body;
+  const id = req.whiteboard.id;
+  const clients = (liveChannels.get(id)?.list() || []).filter(client => client.meta.clientId === clientId);
+  if (clients.length === 0) {
+    throw new AppError('Not connected to the live whiteboard', 404, 'NOT_FOUND');
+  }
+
+  for (const client of clients) {
+    if (name !== undefined) client.meta.name = cleanName(name);
+    if (Number.isInteger(line) && line > 0) client.meta.line = line;
+  }
+  broadcastPresence(id);
+  res.json({ success: true });
+}));
+
+// === MODERATION ENDPOINTS ===
+
+// Why the board is read-only right now, or null
+boardRouter.get('/moderation', (req, res) => {
+  res.json(moderationService.readOnlyStatus(req.whiteboard));
+});
+
+// Admin lock: { reason, until }; writes get 423 until it is lifted or
+// `until` passes
+boardRouter.put('/lock', requireRole('admin'), (req, res) => {
+  const reason = String(req.body.reason || '').replace(/\s+/g, ' ').trim().substring(0, 200) || null;
+  const { until } = req.body;
+  if (until != null && !(Date.parse(until) > Date.now())) {
+    throw new AppError('until must be a future date', 400, 'INVALID_PARAM');
+  }
+
+  const lock = { by: req.user.username, at: new Date().toISOString(), reason, until: until != null ? new Date(until).toISOString() : null };
+  req.whiteboard.setLock(lock);
+  noteAudit(res, { target: req.whiteboard.id, reason });
+  broadcastModeration(req.whiteboard);
+  res.json(moderationService.readOnlyStatus(req.whiteboard));
+});
+
+boardRouter.delete('/lock', requireRole('admin'), (req, res) => {
+  req.whiteboard.setLock(null);
+  noteAudit(res, { target: req.whiteboard.id });
+  broadcastModeration(req.whiteboard);
+  res.json(moderationService.readOnlyStatus(req.whiteboard));
+});
+
+// === HISTORY ENDPOINTS ===
+
+boardRouter.get('/history', (req, res) => {
+  res.json(req.whiteboard.listRevisions());
+});
+
+boardRouter.get('/history/:rev', asyncHandler(async (req, res) => {
+  const revision = req.whiteboard.getRevision(parseRev(req.params.rev));
+  if (!revision) {
+    throw new AppError('Revision not found', 404, 'NOT_FOUND');
+  }
+  res.json(revision);
+}));
+
+// Unified diff between two revisions; `to` defaults to the current revision
+boardRouter.get('/diff', asyncHandler(async (req, res) => {
+  const from = parseRev(req.query.from, 'from');
+  const to = req.query.to ? parseRev(req.query.to, 'to') : req.whiteboard.get().rev;
+
+  const diff = req.whiteboard.diff(from, to);
+  if (diff === null) {
+    throw new AppError('Revision not found', 404, 'NOT_FOUND');
+  }
+  res.json({ from, to, diff });
+}));
+
+boardRouter.post('/restore/:rev', requireWritable, asyncHandler(async (req, res) => {
+  const rev = parseRev(req.params.rev);
+  checkPrecondition(req);
+
+  const sizeBefore = byteLength(req.whiteboard);
+  const board = req.whiteboard.restore(rev, { user: req.user?.username });
+  noteAudit(res, { sizeDelta: byteLength(req.whiteboard) - sizeBefore });
+  if (!board) {
+    throw new AppError('Revision not found', 404, 'NOT_FOUND');
+  }
+  const etag = req.whiteboard.getEtag();
+  res.set('ETag', etag);
+  res.json({ success: true, ...board, etag });
+}));
+
+router.use(resolveBoard, boardRouter);
+roomsRouter.use('/:id', resolveBoard, boardRouter);
+
+module.exports = router;
+module.exports.roomsRouter = roomsRouter;
+module.exports.setupWhiteboardRoutes = setupWhiteboardRoutes;
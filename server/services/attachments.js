@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const busboy = require('busboy');
+const { AppError } = require('../middleware/error-handler');
+const logger = require('../logger');
+
+// Bytes read from the start of an upload to tell what it really is
+const SNIFF_BYTES = 64;
+
+/**
+ * Types an attachment may have, keyed by canonical extension. Each is
+ * recognised from its content, not its name or the browser's Content-Type;
+ * `extensions` are the names it may be stored under.
+ */
+const TYPES = {
+  png: { mime: 'image/png', image: true, extensions: ['png'], sniff: head => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  jpg: { mime: 'image/jpeg', image: true, extensions: ['jpg', 'jpeg'], sniff: head => startsWith(head, [0xff, 0xd8, 0xff]) },
+  gif: { mime: 'image/gif', image: true, extensions: ['gif'], sniff: head => /^GIF8[79]a/.test(head.toString('latin1', 0, 6)) },
+  webp: { mime: 'image/webp', image: true, extensions: ['webp'], sniff: head => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP' },
+  pdf: { mime: 'application/pdf', extensions: ['pdf'], sniff: head => head.toString('latin1', 0, 5) === '%PDF-' },
+  zip: { mime: 'application/zip', extensions: ['zip'], sniff: head => startsWith(head, [0x50, 0x4b, 0x03, 0x04]) },
+  // Plain text has no signature; only trust it for text names
+  txt: { mime: 'text/plain; charset=utf-8', extensions: ['txt', 'csv', 'log'], sniff: (head, ext) => ['txt', 'csv', 'log'].includes(ext) && !head.includes(0) }
+};
+
+function startsWith(head, bytes) {
+  return head.length >= bytes.length && bytes.every((byte, i) => head[i] === byte);
+}
+
+function extensionOf(name) {
+  return path.extname(name).slice(1).toLowerCase();
+}
+
+function typeFor(name) {
+  const ext = extensionOf(name);
+  return Object.values(TYPES).find(type => type.extensions.includes(ext)) || null;
+}
+
+/**
+ * A safe file name from a client-supplied one: no folders, no leading dots,
+ * nothing that breaks a ![[wikilink]].
+ */
+function cleanName(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\x00-\x1f[\]|#^:*?"<>\/]/g, '')
+    .replace(/^[.\s]+/, '')
+    .trim();
+  return base.substring(0, 120) || 'attachment';
+}
+
+/**
+ * Binary attachments (images, PDFs and other files) kept in one folder of
+ * the vault, config.attachments.folder ("attachments" by default). Uploads
+ * arrive as multipart/form-data and are streamed to disk; anything over
+ * config.attachments.maxFileMB, or whose content isn't one of TYPES, is
+ * refused. Names are never overwritten: a clash gets " 1", " 2"... added.
+ */
+class AttachmentService {
+  constructor(config, vault) {
+    this.vault = vault;
+    this.folder = vault.normalizePath(config.attachments?.folder ?? 'attachments');
+    this.maxBytes = (config.attachments?.maxFileMB ?? 10) * 1024 * 1024;
+  }
+
+  // Vault-relative path of an attachment name
+  pathFor(name) {
+    return this.vault.normalizePath(`${this.folder}/${name}`);
+  }
+
+  /**
+   * Store the single file in a multipart request (field "file"). Returns
+   * { path, name, size, type, image }, where `name` is what to embed.
+   */
+  upload(req, { user = null } = {}) {
+    return new Promise((resolve, reject) => {
+      let parser;
+      try {
+        parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: this.maxBytes, fields: 10 } });
+      } catch (err) {
+        reject(new AppError('Expected a multipart/form-data upload', 400, 'INVALID_PARAM'));
+        return;
+      }
+
+      let received = null;
+      parser.on('file', (field, stream, info) => {
+        if (field !== 'file') {
+          stream.resume();
+          return;
+        }
+        received = this.store(stream, info.filename, { user }).catch(err => {
+          stream.resume(); // Drain what's left so the parser can finish
+          throw err;
+        });
+        received.catch(() => {}); // Surfaced once the parser finishes
+      });
+      parser.on('filesLimit', () => {
+        reject(new AppError('Upload one file at a time', 400, 'INVALID_PARAM'));
+      });
+      parser.on('error', err => {
+        reject(new AppError(`Malformed upload: ${err.message}`, 400, 'INVALID_PARAM'));
+      });
+      parser.on('close', () => {
+        if (!received) {
+          reject(new AppError('No file in the "file" field', 400, 'MISSING_PARAM'));
+          return;
+        }
+        received.then(resolve, reject);
+      });
+
+      req.pipe(parser);
+    });
+  }
+
+  /**
+   * Stream one upload to a hidden temp file in the attachments folder,
+   * check its size and type, then link it in under a free name.
+   */
+  async store(stream, filename, { user = null } = {}) {
+    const requested = cleanName(filename);
+    const target = this.pathFor(requested);
+    const policy = this.vault.policy.resolve(target);
+    this.vault.policy.check(policy, 'create', target);
+
+    const dir = await this.vault.resolvePath(this.folder);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmpPath = path.join(dir, `.upload-${crypto.randomBytes(8).toString('hex')}`);
+
+    try {
+      const { size, head, truncated } = await this.writeStream(stream, tmpPath);
+      if (truncated) {
+        throw new AppError(`Attachments are limited to ${this.maxBytes / 1024 / 1024} MB`, 413, 'PAYLOAD_TOO_LARGE');
+      }
+      if (size === 0) {
+        throw new AppError('The uploaded file is empty', 400, 'INVALID_PARAM');
+      }
+
+      const ext = extensionOf(requested);
+      const [canonical, type] = Object.entries(TYPES).find(([, t]) => t.sniff(head, ext)) || [];
+      if (!type) {
+        throw new AppError('Unsupported file type', 415, 'UNSUPPORTED_TYPE', {
+          allowed: Object.values(TYPES).flatMap(t => t.extensions)
+        });
+      }
+      // Keep the given extension when it fits the content, otherwise use the real one
+      const stem = ext ? requested.slice(0, -(ext.length + 1)) : requested;
+      const name = await this.claimName(tmpPath, dir, stem || 'attachment', type.extensions.includes(ext) ? ext : canonical);
+
+      logger.info('attachments', `Stored ${name} (${size} bytes)${user ? ` for ${user}` : ''}`);
+      return { path: this.pathFor(name), name, size, type: type.mime, image: Boolean(type.image) };
+    } finally {
+      await fs.promises.rm(tmpPath, { force: true });
+    }
+  }
+
+  // Copy a stream to disk, keeping its first bytes and noting a size cut-off
+  writeStream(stream, tmpPath) {
+    return new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(tmpPath, { flags: 'wx' });
+      const chunks = [];
+      let headLength = 0;
+      let size = 0;
+
+      stream.on('data', chunk => {
+        size += chunk.length;
+        if (headLength < SNIFF_BYTES) {
+          chunks.push(chunk);
+          headLength += chunk.length;
+        }
+      });
+      stream.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', () => resolve({
+        size,
+        head: Buffer.concat(chunks).subarray(0, SNIFF_BYTES),
+        truncated: Boolean(stream.truncated)
+      }));
+      stream.pipe(out);
+    });
+  }
+
+  /**
+   * Hard-link the temp file to the first free "<stem>.<ext>", "<stem> 1.<ext>"...
+   * link() fails rather than replacing, so two uploads can't take one name.
+   */
+  async claimName(tmpPath, dir, stem, ext) {
+    for (let n = 0; n < 1000; n++) {
+      const name = n === 0 ? `${stem}.${ext}` : `${stem} ${n}.${ext}`;
+      try {
+        await fs.promises.link(tmpPath, path.join(dir, name));
+        return name;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+    }
+    throw new AppError(`Too many attachments named "${stem}.${ext}"`, 409, 'CONFLICT');
+  }
+
+  /**
+   * Absolute path, stat and content type of an attachment for serving.
+   * Files of unknown type are served as downloads, never rendered.
+   */
+  async open(name) {
+    const relPath = this.pathFor(name);
+    if (!relPath.startsWith(`${this.folder}/`)) {
+      throw new AppError('Invalid path', 400, 'INVALID_PATH');
+    }
+    const absolute = await this.vault.resolvePath(relPath);
+    const stat = await fs.promises.stat(absolute).catch(() => null);
+    if (!stat || !stat.isFile()) {
+      throw new AppError(`Attachment not found: ${name}`, 404, 'NOT_FOUND');
+    }
+    const type = typeFor(relPath);
+    return { path: relPath, absolute, stat, type: type?.mime || 'application/octet-stream', download: !type };
+  }
+}
+
+module.exports = AttachmentService;
+module.exports.TYPES = TYPES;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { writeFileAtomicSync } = require('../atomic-file');
+
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Who last changed each note: path -> { user, at }. Notes edited by
+ * anonymous clients (or outside the app) have no entry. Persisted as JSON,
+ * with bursts of edits coalesced into one write.
+ */
+class Attribution {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.saveTimer = null;
+    this.dirty = false;
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const [notePath, entry] of Object.entries(saved)) {
+        this.entries.set(notePath, entry);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn('attribution', 'Could not read attribution, starting empty', { error: err.message });
+      }
+    }
+  }
+
+  get(notePath) {
+    return this.entries.get(notePath) || null;
+  }
+
+  record(notePath, user) {
+    if (user) {
+      this.entries.set(notePath, { user, at: new Date().toISOString() });
+    } else {
+      this.entries.delete(notePath);
+    }
+    this.scheduleSave();
+  }
+
+  move(from, to) {
+    const entry = this.entries.get(from);
+    if (!entry) return;
+    this.entries.delete(from);
+    this.entries.set(to, entry);
+    this.scheduleSave();
+  }
+
+  forget(notePath) {
+    if (this.entries.delete(notePath)) this.scheduleSave();
+  }
+
+  scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  // Synchronous so it can also run on shutdown
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.dirty) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      writeFileAtomicSync(this.filePath, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+      this.dirty = false;
+    } catch (err) {
+      logger.error('attribution', 'Failed to save attribution', err);
+    }
+  }
+}
+
+module.exports = Attribution;
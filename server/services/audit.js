@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const FILE_PATTERN = /^audit(?:-\d+)?\.jsonl$/;
+
+/**
+ * Append-only audit trail in server/data/audit/, one JSON entry per line.
+ * Appends are queued so entries keep their order on disk. Once audit.jsonl
+ * passes config.audit.maxFileMB it is renamed to audit-<time>.jsonl and a
+ * new file started; old files are kept and still searched.
+ */
+class AuditLog {
+  constructor(config) {
+    this.dataDir = path.join(__dirname, '../data/audit/');
+    this.filePath = path.join(this.dataDir, 'audit.jsonl');
+    this.maxFileBytes = (config.audit?.maxFileMB ?? 20) * 1024 * 1024;
+    this.pending = Promise.resolve();
+    fs.mkdirSync(this.dataDir, { recursive: true });
+  }
+
+  /**
+   * Record an event. The time is added here; fields left undefined are
+   * dropped.
+   */
+  record(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+    this.pending = this.pending
+      .then(() => this.rotateIfFull())
+      .then(() => fs.promises.appendFile(this.filePath, line))
+      .catch(err => logger.error('audit', 'Failed to write audit entry', err));
+    return this.pending;
+  }
+
+  async rotateIfFull() {
+    const stat = await fs.promises.stat(this.filePath).catch(() => null);
+    if (!stat || stat.size < this.maxFileBytes) return;
+    await fs.promises.rename(this.filePath, path.join(this.dataDir, `audit-${Date.now()}.jsonl`));
+    logger.info('audit', 'Started a new audit file');
+  }
+
+  // Audit files newest first: the current one, then rotated ones
+  async listFiles() {
+    const names = (await fs.promises.readdir(this.dataDir)).filter(name => FILE_PATTERN.test(name));
+    const stamp = name => (name === 'audit.jsonl' ? Infinity : Number(name.match(/\d+/)[0]));
+    return names.sort((a, b) => stamp(b) - stamp(a)).map(name => path.join(this.dataDir, name));
+  }
+
+  /**
+   * Entries newest first, filtered by `user`, `ip`, `method`, `outcome`
+   * (exact), `path` (prefix), `target` (substring) and `since` / `until`
+   * (ISO times). Pages with `offset` and `limit`; `hasMore` says whether
+   * an older page exists.
+   */
+  async query({ user, ip, method, outcome, path: pathPrefix, target, since, until, offset = 0, limit = 50 } = {}) {
+    await this.pending;
+
+    const matches = entry =>
+      (!user || entry.user === user) &&
+      (!ip || entry.ip === ip) &&
+      (!method || entry.method === method.toUpperCase()) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!pathPrefix || (entry.path || '').startsWith(pathPrefix)) &&
+      (!target || String(entry.target ?? '').toLowerCase().includes(target.toLowerCase())) &&
+      (!since || entry.at >= since) &&
+      (!until || entry.at < until);
+
+    const entries = [];
+    let skipped = 0;
+    for (const file of await this.listFiles()) {
+      const lines = (await fs.promises.readFile(file, 'utf-8')).split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (err) {
+          continue; // A partial line cut short by a crash
+        }
+        // Files are in time order, so nothing older can match
+        if (since && entry.at < since) return { entries, hasMore: false };
+        if (!matches(entry)) continue;
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        if (entries.length === limit) return { entries, hasMore: true };
+        entries.push(entry);
+      }
+    }
+    return { entries, hasMore: false };
+  }
+}
+
+module.exports = AuditLog;
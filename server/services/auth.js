@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { saveConfig, DEFAULT_SESSION_SECRET } = require('../config');
+const { publicUser } = require('./users');
+const logger = require('../logger');
+
+const COOKIE_NAME = 'h3lper_session';
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.substring(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.substring(eq + 1).trim());
+    } catch (err) {
+      // Ignore malformed cookies from other apps on the same host
+    }
+  }
+  return cookies;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Changes whenever the user's password does, signing their sessions out
+function passwordVersion(user) {
+  return crypto.createHash('sha256').update(user.passwordHash).digest('base64url').substring(0, 12);
+}
+
+/**
+ * Login sessions for the accounts in UserService. Sessions are stateless
+ * cookies signed with HMAC-SHA256 over config.sessionSecret; they name the
+ * user and are checked against the account on every request, so disabling
+ * a user or changing their password takes effect immediately.
+ */
+class AuthService {
+  constructor(config, users, tokens) {
+    this.config = config;
+    this.users = users;
+    this.tokens = tokens;
+    this.sessionMs = (config.auth?.sessionDays || 30) * 24 * 60 * 60 * 1000;
+
+    // Installs from before accounts existed may still sign with the default
+    if (config.passwordHash) this.ensureSessionSecret();
+  }
+
+  // False until the first-run setup has created an admin account
+  isConfigured() {
+    return this.users.hasUsers();
+  }
+
+  /**
+   * First run: create the admin account. A default session secret is
+   * replaced with a random one, persisted through saveConfig.
+   */
+  async setup({ username, password, displayName }) {
+    const user = await this.users.create({ username, password, displayName, role: 'admin' });
+    this.ensureSessionSecret();
+    return user;
+  }
+
+  ensureSessionSecret() {
+    if (this.config.sessionSecret && this.config.sessionSecret !== DEFAULT_SESSION_SECRET) return;
+
+    const sessionSecret = crypto.randomBytes(32).toString('hex');
+    saveConfig({ sessionSecret });
+    this.config.sessionSecret = sessionSecret;
+    logger.info('auth', 'Generated a session secret in config.json');
+  }
+
+  // === SESSIONS ===
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.config.sessionSecret).update(payload).digest('base64url');
+  }
+
+  createSessionToken(user) {
+    const now = Date.now();
+    const session = { uid: user.id, ver: passwordVersion(user), iat: now, exp: now + this.sessionMs };
+    const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * The session carried by the request's cookie as { user, iat, exp }, or
+   * null. `user` is the public account record.
+   */
+  getSession(req) {
+    const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!token) return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, this.sign(payload))) return null;
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch (err) {
+      return null;
+    }
+    if (!(session.exp > Date.now())) return null;
+
+    const user = this.users.get(session.uid);
+    if (!user || user.disabled || session.ver !== passwordVersion(user)) return null;
+    return { user: publicUser(user), iat: session.iat, exp: session.exp };
+  }
+
+  /**
+   * The request's `Authorization: Bearer` API token as { user, token }, null
+   * when the request has none, or false when the token is not valid.
+   */
+  getTokenSession(req) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+
+    const result = this.tokens.authenticate(match[1]);
+    if (!result) return false;
+    return { user: publicUser(result.user), token: result.token };
+  }
+
+  startSession(req, res, user) {
+    res.cookie(COOKIE_NAME, this.createSessionToken(this.users.get(user.id)), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: this.sessionMs,
+      path: '/'
+    });
+  }
+
+  endSession(req, res) {
+    res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+  }
+}
+
+module.exports = AuthService;
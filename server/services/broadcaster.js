@@ -0,0 +1,62 @@
+const logger = require('../logger');
+
+/**
+ * Fan-out of server-sent events to every connected client of one channel.
+ * Each client carries a metadata object the channel can use for presence.
+ */
+class Broadcaster {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.clients = new Map();
+    this.keepAliveMs = options.keepAliveMs ?? 25000;
+    this.nextId = 1;
+  }
+
+  /**
+   * Turn the response into an event stream and register it. Returns the
+   * client record; `onClose` runs once the connection goes away.
+   */
+  addClient(req, res, meta = {}, onClose = null) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { id: this.nextId++, res, meta };
+    this.clients.set(client.id, client);
+
+    // Comment lines keep proxies from timing out idle streams
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), this.keepAliveMs);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      this.clients.delete(client.id);
+      logger.debug(this.name, 'Event stream closed', { clients: this.clients.size });
+      if (onClose) onClose(client);
+    });
+
+    logger.debug(this.name, 'Event stream opened', { clients: this.clients.size });
+    return client;
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast(event, data, filter = null) {
+    for (const client of this.clients.values()) {
+      if (!filter || filter(client)) {
+        this.send(client, event, data);
+      }
+    }
+  }
+
+  list() {
+    return Array.from(this.clients.values());
+  }
+}
+
+module.exports = Broadcaster;
@@ -0,0 +1,243 @@
+const { AppError } = require('../middleware/error-handler');
+const logger = require('../logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TOKEN_PATTERN = /\{\{\s*(\w+)(?::([^}]*))?\s*\}\}/g;
+const HELPER_TIMEOUT_MS = 5000;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const DEFAULT_TEMPLATE = `# {{date:dddd, MMMM D, YYYY}}
+
+<< [[{{yesterday}}]] | [[{{tomorrow}}]] >>
+
+## Weather
+{{weather}}
+
+## Research
+{{research}}
+
+## Notes
+
+`;
+
+// A YYYY-MM-DD string as a local date at noon, clear of DST edges
+function parseDate(value) {
+  if (!DATE_PATTERN.test(value)) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day, 12);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+function isoDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Format a date with YYYY, MM, M, DD, D, MMMM, MMM, dddd, ddd, HH and mm;
+ * other text is kept as is.
+ */
+function formatDate(date, format) {
+  const pad = n => String(n).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    MMMM: MONTH_NAMES[date.getMonth()],
+    MMM: MONTH_NAMES[date.getMonth()].substring(0, 3),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    dddd: DAY_NAMES[date.getDay()],
+    ddd: DAY_NAMES[date.getDay()].substring(0, 3),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes())
+  };
+  return format.replace(/YYYY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|mm/g, token => parts[token]);
+}
+
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('timed out')), HELPER_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * One note per day at <config.daily.folder>/YYYY-MM-DD.md ("Daily" by
+ * default), created on first visit from a template: the vault note named
+ * by config.daily.template, or a built-in one. Templates may use
+ *
+ *   {{date}}, {{date:FORMAT}}       the note's date (see formatDate)
+ *   {{yesterday}}, {{tomorrow}}     neighbouring daily note paths, for links
+ *   {{time}}                        the creation time, HH:MM
+ *   {{weather}}                     a forecast for today's note, for the requesting
+ *                                   user's weather location or config.daily.location
+ *   {{research}}, {{research:N}}    the day's top N ranked papers (5)
+ *
+ * Weather and research come from the helper services and are left out,
+ * with a note saying so, when they aren't available.
+ */
+class DailyNotes {
+  constructor(config, vault, helpers) {
+    this.vault = vault;
+    this.helpers = helpers;
+    this.folder = vault.normalizePath(config.daily?.folder ?? 'Daily');
+    this.template = config.daily?.template || null;
+    this.location = config.daily?.location || null;
+  }
+
+  pathFor(date) {
+    return this.folder ? `${this.folder}/${date}.md` : `${date}.md`;
+  }
+
+  parse(value) {
+    const date = value === 'today' ? new Date() : parseDate(value);
+    if (!date) {
+      throw new AppError('date must be YYYY-MM-DD or "today"', 400, 'INVALID_PARAM');
+    }
+    return isoDate(date);
+  }
+
+  /**
+   * The daily note for `date` (YYYY-MM-DD or "today"), created from the
+   * template when missing and `create` is set. `location` ({ lat, lon }) is
+   * where {{weather}} is for, config.daily.location by default. Returns
+   * { date, path, created, file, previous, next }, where `file` is null for
+   * a missing note and previous / next are the nearest dates that have notes.
+   */
+  async get(value, { create = true, user = null, location = null } = {}) {
+    const date = this.parse(value);
+    const notePath = this.pathFor(date);
+
+    let created = false;
+    if (create && !(await this.vault.exists(notePath))) {
+      const content = await this.render(date, { location });
+      try {
+        await this.vault.createFile(notePath, content, { user });
+        created = true;
+        logger.info('daily', `Created daily note ${notePath}`, { user });
+      } catch (err) {
+        // Someone else got there first
+        if (err.code !== 'CONFLICT') throw err;
+      }
+    }
+
+    const file = await this.vault.readFile(notePath).catch(err => {
+      if (err.statusCode === 404) return null;
+      throw err;
+    });
+    return { date, path: notePath, created, file, ...(await this.neighbours(date)) };
+  }
+
+  // Nearest earlier and later dates with a daily note
+  async neighbours(date) {
+    const dates = (await this.vault.listFiles(this.folder))
+      .map(file => file.path.substring(this.folder ? this.folder.length + 1 : 0).replace(/\.md$/, ''))
+      .filter(name => DATE_PATTERN.test(name))
+      .sort();
+    return {
+      previous: dates.filter(d => d < date).pop() || null,
+      next: dates.find(d => d > date) || null
+    };
+  }
+
+  async loadTemplate() {
+    if (!this.template) return DEFAULT_TEMPLATE;
+    try {
+      return (await this.vault.readFile(this.template)).content;
+    } catch (err) {
+      logger.warn('daily', `Template ${this.template} unavailable, using the default`, { error: err.message });
+      return DEFAULT_TEMPLATE;
+    }
+  }
+
+  async render(date, { location = null } = {}) {
+    const template = await this.loadTemplate();
+    const day = parseDate(date);
+    const now = new Date();
+
+    // Helper lookups are slow, so only run the ones the template uses
+    const used = new Set(Array.from(template.matchAll(TOKEN_PATTERN), match => match[1]));
+    const weather = used.has('weather') ? await this.weatherSummary(date, location || this.location) : null;
+    const research = used.has('research') ? await this.researchPapers(date) : null;
+
+    return template.replace(TOKEN_PATTERN, (token, name, arg) => {
+      switch (name) {
+        case 'date':
+          return arg ? formatDate(day, arg.trim()) : date;
+        case 'yesterday':
+          return this.pathFor(isoDate(addDays(day, -1))).replace(/\.md$/, '');
+        case 'tomorrow':
+          return this.pathFor(isoDate(addDays(day, 1))).replace(/\.md$/, '');
+        case 'time':
+          return formatDate(now, 'HH:mm');
+        case 'weather':
+          return weather;
+        case 'research': {
+          if (typeof research === 'string') return research;
+          const count = Math.max(parseInt(arg, 10) || 5, 1);
+          return research.slice(0, count)
+            .map(paper => `- [${paper.title}](${paper.url})${paper.authors?.length ? ` - ${paper.authors.slice(0, 3).join(', ')}` : ''}`)
+            .join('\n') || '_No papers ranked for this day._';
+        }
+        default:
+          return token;
+      }
+    });
+  }
+
+  // The forecast is only worth keeping in today's note
+  async weatherSummary(date, location) {
+    const { weatherService } = this.helpers() || {};
+    if (date !== isoDate(new Date())) return '';
+    if (!weatherService || !location) {
+      return '_Weather unavailable: set a weather location, or config.daily.location to { "lat", "lon" }._';
+    }
+    try {
+      const weather = await withTimeout(weatherService.getLocalWeather(Number(location.lat), Number(location.lon)));
+      const parts = [];
+      if (weather.current?.description) {
+        const temp = typeof weather.current.temperature === 'number' ? `, ${Math.round(weather.current.temperature)}°C` : '';
+        parts.push(`Now: ${weather.current.description}${temp}`);
+      }
+      for (const period of weather.forecast.slice(0, 2)) {
+        parts.push(`${period.name}: ${period.shortForecast}, ${period.temperature}°${period.temperatureUnit}`);
+      }
+      const place = [weather.location?.city, weather.location?.state].filter(Boolean).join(', ');
+      return (place ? `${place}\n` : '') + parts.map(part => `- ${part}`).join('\n');
+    } catch (err) {
+      logger.warn('daily', 'Weather for the daily note failed', { error: err.message });
+      return '_Weather unavailable._';
+    }
+  }
+
+  /**
+   * Papers already ranked for the day, or the latest ranked day before it.
+   * Never starts a fetch and ranking run of its own.
+   */
+  async researchPapers(date) {
+    const { researchService } = this.helpers() || {};
+    if (!researchService) return '_Research unavailable._';
+    try {
+      const day = researchService.getAvailableDates().find(d => d <= date);
+      const result = day ? await researchService.getHistoricalPapers(day) : null;
+      return result?.papers || [];
+    } catch (err) {
+      logger.warn('daily', 'Research for the daily note failed', { error: err.message });
+      return '_Research unavailable._';
+    }
+  }
+}
+
+module.exports = DailyNotes;
+module.exports.formatDate = formatDate;
@@ -0,0 +1,137 @@
+const path = require('path');
+
+const EDGE_TYPES = ['link', 'embed', 'tag'];
+const MAX_DEPTH = 5;
+
+/**
+ * The note graph for graph-tab.js, assembled from the vault indexes:
+ * a node per note and typed edges for links, embeds and shared tags.
+ */
+class GraphService {
+  constructor(config, vault, { searchIndex, tagIndex, linkIndex }) {
+    this.vault = vault;
+    this.searchIndex = searchIndex;
+    this.tagIndex = tagIndex;
+    this.linkIndex = linkIndex;
+    // Tags on more notes than this add no tag edges; they would only
+    // pull the whole graph into one clique
+    this.maxTagGroup = config.graph?.maxTagGroup ?? 25;
+  }
+
+  /**
+   * Build the graph. Options:
+   *   types   edge types to include (default all of link, embed, tag)
+   *   tag     only notes with this tag or one nested under it
+   *   folder  only notes in this folder or below
+   *   focus   only notes within `depth` link/embed hops of this note
+   */
+  async build({ types = EDGE_TYPES, tag = null, folder = null, focus = null, depth = 1 } = {}) {
+    const files = await this.vault.listFiles();
+    const nodes = new Map(files.map(file => {
+      const folderName = path.posix.dirname(file.path);
+      return [file.path, {
+        id: file.path,
+        path: file.path,
+        name: file.name.replace(/\.md$/i, ''),
+        folder: folderName === '.' ? '' : folderName,
+        tags: this.tagIndex.getFileTags(file.path),
+        wordCount: this.searchIndex.docs.get(file.path)?.length ?? 0,
+        modified: file.modified
+      }];
+    }));
+
+    const links = this.buildEdges(nodes, types);
+
+    let keep = new Set(nodes.keys());
+    if (focus) {
+      keep = this.neighborhood(focus, Math.min(depth, MAX_DEPTH), links, nodes);
+    }
+    if (tag) {
+      const wanted = '#' + tag.replace(/^#/, '');
+      keep = new Set([...keep].filter(id =>
+        nodes.get(id).tags.some(t => t === wanted || t.startsWith(wanted + '/'))));
+    }
+    if (folder) {
+      const prefix = folder.replace(/^\/+|\/+$/g, '') + '/';
+      keep = new Set([...keep].filter(id => id.startsWith(prefix)));
+    }
+    if (focus && nodes.has(focus)) keep.add(focus);
+
+    return {
+      nodes: Array.from(keep, id => nodes.get(id)),
+      links: links.filter(link => keep.has(link.source) && keep.has(link.target))
+    };
+  }
+
+  // Link and embed edges point from the linking note; tag edges are
+  // undirected, one per pair of notes with their shared tags
+  buildEdges(nodes, types) {
+    const links = [];
+
+    if (types.includes('link') || types.includes('embed')) {
+      for (const source of nodes.keys()) {
+        const seen = new Set();
+        for (const outgoing of this.linkIndex.getOutgoing(source)) {
+          const type = outgoing.kind === 'embed' ? 'embed' : 'link';
+          const key = `${type}:${outgoing.target}`;
+          if (!types.includes(type) || outgoing.target === source || !nodes.has(outgoing.target) || seen.has(key)) continue;
+          seen.add(key);
+          links.push({ source, target: outgoing.target, type });
+        }
+      }
+    }
+
+    if (types.includes('tag')) {
+      const pairs = new Map();
+      for (const { tag, files } of this.tagIndex.list()) {
+        const members = files.map(f => f.file).filter(file => nodes.has(file)).sort();
+        if (members.length < 2 || members.length > this.maxTagGroup) continue;
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            const key = `${members[i]}\0${members[j]}`;
+            if (!pairs.has(key)) pairs.set(key, { source: members[i], target: members[j], type: 'tag', tags: [] });
+            pairs.get(key).tags.push(tag);
+          }
+        }
+      }
+      for (const pair of pairs.values()) {
+        // A nested tag already implies its parents; keep the most specific
+        pair.tags = pair.tags.filter(t => !pair.tags.some(other => other.startsWith(t + '/')));
+        links.push(pair);
+      }
+    }
+
+    return links;
+  }
+
+  // Notes within `depth` hops of `focus`, following link and embed edges
+  // in either direction
+  neighborhood(focus, depth, links, nodes) {
+    const adjacent = new Map();
+    for (const link of links) {
+      if (link.type === 'tag') continue;
+      if (!adjacent.has(link.source)) adjacent.set(link.source, new Set());
+      if (!adjacent.has(link.target)) adjacent.set(link.target, new Set());
+      adjacent.get(link.source).add(link.target);
+      adjacent.get(link.target).add(link.source);
+    }
+
+    const found = new Set(nodes.has(focus) ? [focus] : []);
+    let frontier = [...found];
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbor of adjacent.get(id) || []) {
+          if (found.has(neighbor)) continue;
+          found.add(neighbor);
+          next.push(neighbor);
+        }
+      }
+      frontier = next;
+    }
+    return found;
+  }
+}
+
+module.exports = GraphService;
+module.exports.EDGE_TYPES = EDGE_TYPES;
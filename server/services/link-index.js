@@ -0,0 +1,175 @@
+const path = require('path');
+const logger = require('../logger');
+const { findLinks, findMarkdownLinks } = require('../wikilinks');
+const { tokenize } = require('./search-index');
+
+const CONTEXT_WORDS = 8;
+
+const HEAD_PATTERN = new RegExp(`(?:\\S+(?=\\s|$)\\s*){0,${CONTEXT_WORDS}}$`);
+const TAIL_PATTERN = new RegExp(`^(?:\\s*\\S+(?=\\s|$)){0,${CONTEXT_WORDS}}`);
+
+// A few words either side of line.substring(start, end), with an ellipsis
+// where the line was cut
+function contextAround(line, start, end) {
+  const before = line.substring(0, start);
+  const after = line.substring(end);
+  const head = before.match(HEAD_PATTERN)[0];
+  const tail = after.match(TAIL_PATTERN)[0];
+  const cutHead = head.length < before.trimStart().length ? '…' : '';
+  const cutTail = tail.length < after.trimEnd().length ? '…' : '';
+  return `${cutHead}${head}${line.substring(start, end)}${tail}${cutTail}`.trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Links between notes: [[wikilinks]], ![[embeds]] and [text](note.md)
+ * links, indexed by target so a note's backlinks are a lookup. Kept current
+ * from vault changes. Unlinked mentions come from the search index.
+ */
+class LinkIndex {
+  constructor(vault, searchIndex) {
+    this.vault = vault;
+    this.searchIndex = searchIndex;
+    this.outgoing = new Map(); // source path -> [{ target, kind, line, context }]
+    this.incoming = new Map(); // target path -> Set(source paths)
+
+    vault.on('write', (filePath, content) => this.updateFile(filePath, content));
+    vault.on('delete', (filePath) => this.removeFile(filePath));
+    vault.on('rename', (from, to) => {
+      // Relative Markdown links depend on where the note lives, so re-read it
+      this.removeFile(from);
+      this.vault.readFile(to)
+        .then(file => this.updateFile(to, file.content))
+        .catch(err => logger.warn('links', `Could not re-index ${to}`, { error: err.message }));
+    });
+  }
+
+  async load() {
+    const files = await this.vault.listFiles();
+    for (const file of files) {
+      try {
+        const { content } = await this.vault.readFile(file.path);
+        this.updateFile(file.path, content);
+      } catch (err) {
+        logger.warn('links', `Could not index links in ${file.path}`, { error: err.message });
+      }
+    }
+    logger.info('links', `Indexed links in ${this.outgoing.size} notes`, { targets: this.incoming.size });
+  }
+
+  // === INDEX MAINTENANCE ===
+
+  updateFile(filePath, content) {
+    this.removeFile(filePath);
+
+    const lines = content.split('\n');
+    const describe = (link, kind) => ({
+      target: link.path,
+      kind,
+      line: link.line,
+      context: contextAround(lines[link.line - 1], link.column, link.column + link.raw.length)
+    });
+    const links = [
+      ...findLinks(content).filter(link => link.path).map(link => describe(link, link.embed ? 'embed' : 'wikilink')),
+      ...findMarkdownLinks(content, filePath).map(link => describe(link, 'markdown'))
+    ].sort((a, b) => a.line - b.line);
+
+    this.outgoing.set(filePath, links);
+    for (const link of links) {
+      if (!this.incoming.has(link.target)) this.incoming.set(link.target, new Set());
+      this.incoming.get(link.target).add(filePath);
+    }
+  }
+
+  removeFile(filePath) {
+    const links = this.outgoing.get(filePath);
+    if (!links) return;
+
+    for (const link of links) {
+      const sources = this.incoming.get(link.target);
+      if (!sources) continue;
+      sources.delete(filePath);
+      if (sources.size === 0) this.incoming.delete(link.target);
+    }
+    this.outgoing.delete(filePath);
+  }
+
+  getOutgoing(filePath) {
+    return this.outgoing.get(filePath) || [];
+  }
+
+  // === QUERIES ===
+
+  /**
+   * Notes linking to `filePath`, each with every mention's line and context.
+   */
+  getBacklinks(notePath) {
+    const filePath = this.vault.normalizePath(notePath);
+    const sources = Array.from(this.incoming.get(filePath) || [])
+      .filter(source => source !== filePath)
+      .sort((a, b) => a.localeCompare(b));
+
+    return sources.map(source => {
+      const mentions = this.getOutgoing(source)
+        .filter(link => link.target === filePath)
+        .map(({ kind, line, context }) => ({ kind, line, context }));
+      return {
+        type: 'backlink',
+        path: source,
+        name: path.posix.basename(source),
+        context: mentions[0]?.context || '',
+        mentions
+      };
+    });
+  }
+
+  /**
+   * Notes mentioning the title of `filePath` as plain text without linking
+   * to it. Candidates come from a phrase lookup in the search index.
+   */
+  getUnlinkedMentions(notePath) {
+    const filePath = this.vault.normalizePath(notePath);
+    const title = path.posix.basename(filePath).replace(/\.md$/i, '');
+    const terms = tokenize(title).filter(token => !token.tag).map(token => token.term);
+    if (terms.length === 0) return [];
+
+    const linked = this.incoming.get(filePath) || new Set();
+    const candidates = this.searchIndex.matchClause({ terms, prefix: false });
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(title)}(?![\\p{L}\\p{N}_])`, 'giu');
+
+    const results = [];
+    for (const source of Array.from(candidates.keys()).sort((a, b) => a.localeCompare(b))) {
+      if (source === filePath || linked.has(source)) continue;
+      const doc = this.searchIndex.docs.get(source);
+      if (!doc) continue;
+
+      const mentions = [];
+      doc.content.split('\n').forEach((line, index) => {
+        // Mentions inside link syntax are links, not plain text
+        const prose = line.replace(/\[\[[^\]]*\]\]|\[[^\]]*\]\([^)]*\)/g, match => ' '.repeat(match.length));
+        for (const match of prose.matchAll(pattern)) {
+          mentions.push({
+            kind: 'mention',
+            line: index + 1,
+            context: contextAround(line, match.index, match.index + match[0].length)
+          });
+        }
+      });
+      if (mentions.length === 0) continue;
+
+      results.push({
+        type: 'unlinked',
+        path: source,
+        name: path.posix.basename(source),
+        context: mentions[0].context,
+        mentions
+      });
+    }
+    return results;
+  }
+}
+
+module.exports = LinkIndex;
@@ -0,0 +1,198 @@
+const logger = require('../logger');
+const { AppError } = require('../middleware/error-handler');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>()]+/gi;
+const MAX_EXCERPT = 100;
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value));
+  if (!match) throw new Error(`invalid time "${value}" (use HH:MM)`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * A recurring read-only window from config: { days, start, end, reason }.
+ * `days` are names ("mon") or numbers (0 = Sunday) and default to every
+ * day; a window whose end is before its start runs past midnight, and one
+ * whose start equals its end lasts the whole day. Times are server-local.
+ */
+function parseWindow(window) {
+  const days = (window.days || DAY_NAMES).map(day =>
+    (typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).toLowerCase().substring(0, 3))));
+  if (days.some(day => !(day >= 0 && day <= 6))) {
+    throw new Error(`invalid days ${JSON.stringify(window.days)}`);
+  }
+  return { days: new Set(days), start: parseTime(window.start), end: parseTime(window.end), reason: window.reason || null };
+}
+
+function atMinute(date, dayOffset, minutes) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + dayOffset);
+  result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return result;
+}
+
+// When the window in effect at `now` ends, or null if it isn't in effect
+function windowEnd(window, now) {
+  const minute = now.getHours() * 60 + now.getMinutes();
+  const today = now.getDay();
+  const yesterday = (today + 6) % 7;
+
+  if (window.start === window.end) {
+    return window.days.has(today) ? atMinute(now, 1, 0) : null;
+  }
+  if (window.start < window.end) {
+    const inside = window.days.has(today) && minute >= window.start && minute < window.end;
+    return inside ? atMinute(now, 0, window.end) : null;
+  }
+  // Overnight: started this evening, or yesterday evening and not over yet
+  if (window.days.has(today) && minute >= window.start) return atMinute(now, 1, window.end);
+  if (window.days.has(yesterday) && minute < window.end) return atMinute(now, 0, window.end);
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countMatches(regex, text) {
+  const counts = new Map();
+  for (const [match] of text.matchAll(regex)) {
+    const key = match.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// The first match of `regex` that `next` has more of than `previous`, so
+// text that was already there doesn't block unrelated edits
+function newMatch(regex, next, previous) {
+  const before = countMatches(regex, previous);
+  for (const [match, count] of countMatches(regex, next)) {
+    if (count > (before.get(match) || 0)) return match;
+  }
+  return null;
+}
+
+// === BUILT-IN FILTERS ===
+
+function patternFilter(regexes) {
+  return (next, previous) => {
+    for (const regex of regexes) {
+      const match = newMatch(regex, next, previous);
+      if (match) return match;
+    }
+    return null;
+  };
+}
+
+function bannedWordFilter(words) {
+  const regex = new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\b`, 'gi');
+  return (next, previous) => newMatch(regex, next, previous);
+}
+
+function linkFilter(maxLinks) {
+  return (next, previous) => {
+    const count = (next.match(LINK_PATTERN) || []).length;
+    if (count <= maxLinks || count <= (previous.match(LINK_PATTERN) || []).length) return null;
+    return `${count} links (at most ${maxLinks})`;
+  };
+}
+
+/**
+ * Moderation for the public whiteboards: admin locks (kept on each board),
+ * recurring read-only windows and content filters, all from
+ * config.moderation:
+ *
+ *   { readOnlyWindows: [{ days, start, end, reason }],
+ *     patterns: ["regex", ...], bannedWords: ["word", ...], maxLinks: 20 }
+ *
+ * Refusals are errors carrying the reason, so they reach the audit log
+ * with the request that was refused.
+ */
+class ModerationService {
+  constructor(config) {
+    const settings = config.moderation || {};
+    this.windows = [];
+    this.filters = [];
+
+    for (const window of settings.readOnlyWindows || []) {
+      try {
+        this.windows.push(parseWindow(window));
+      } catch (err) {
+        logger.warn('moderation', `Ignoring read-only window: ${err.message}`, { window });
+      }
+    }
+
+    const patterns = [];
+    for (const pattern of settings.patterns || []) {
+      try {
+        patterns.push(new RegExp(pattern, 'gi'));
+      } catch (err) {
+        logger.warn('moderation', `Ignoring content pattern: ${err.message}`, { pattern });
+      }
+    }
+
+    if (patterns.length) this.addFilter('patterns', patternFilter(patterns));
+    if (settings.bannedWords?.length) this.addFilter('bannedWords', bannedWordFilter(settings.bannedWords));
+    if (Number.isInteger(settings.maxLinks)) this.addFilter('links', linkFilter(settings.maxLinks));
+  }
+
+  /**
+   * Add a content filter: `check(next, previous)` returns the offending
+   * text when `next` should be refused, otherwise null. `previous` is the
+   * text being replaced, so a filter can ignore what was already there.
+   */
+  addFilter(name, check) {
+    this.filters.push({ name, check });
+  }
+
+  /**
+   * Why `board` is read-only right now, or null. An admin lock wins over a
+   * scheduled window: { locked, reason, by, since, until }.
+   */
+  readOnlyStatus(board, now = new Date()) {
+    const { lock } = board.get();
+    if (lock && (!lock.until || Date.parse(lock.until) > now.getTime())) {
+      return { locked: true, reason: lock.reason || 'Locked by an admin', by: lock.by, since: lock.at, until: lock.until || null };
+    }
+
+    for (const window of this.windows) {
+      const until = windowEnd(window, now);
+      if (until) {
+        return { locked: false, reason: window.reason || `Read-only until ${formatTime(until)}`, by: null, since: null, until: until.toISOString() };
+      }
+    }
+    return null;
+  }
+
+  // Refuse (423) any change to a read-only board
+  checkWritable(board) {
+    const status = this.readOnlyStatus(board);
+    if (!status) return;
+
+    const message = status.locked ? `Whiteboard is locked: ${status.reason}` : status.reason;
+    throw new AppError(message, 423, 'LOCKED', status);
+  }
+
+  // Refuse (422) text a filter matches, replacing `previous`
+  checkContent(next, previous) {
+    for (const { name, check } of this.filters) {
+      const match = check(next, previous);
+      if (!match) continue;
+
+      const excerpt = match.length > MAX_EXCERPT ? `${match.substring(0, MAX_EXCERPT)}...` : match;
+      throw new AppError(`Rejected by the ${name} filter: ${excerpt}`, 422, 'CONTENT_REJECTED', { filter: name, match: excerpt });
+    }
+  }
+}
+
+module.exports = ModerationService;
+module.exports.parseWindow = parseWindow;
+module.exports.windowEnd = windowEnd;
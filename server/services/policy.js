@@ -0,0 +1,165 @@
+const { PolicyError } = require('../middleware/error-handler');
+const { parseFrontmatter } = require('../frontmatter');
+
+const DEFAULT_POLICY = {
+  readOnly: false,
+  appendOnly: false,
+  allowCreate: true,
+  allowRename: true,
+  allowDelete: true,
+  maxLength: null,
+  editor: null,     // 'codemirror' or 'tiptap'; null leaves it to the client
+  autosave: null    // autosave delay in ms, false to disable; null for the default
+};
+
+const EDITORS = ['codemirror', 'tiptap'];
+
+// "*" matches within one path segment, "**" across segments, "?" one
+// character. A trailing "/**" also matches the folder itself.
+function globToRegExp(glob) {
+  let pattern = '';
+  const source = glob.replace(/^\/+/, '');
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '*' && source[i + 1] === '*') {
+      if (source[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else if (i > 0 && source[i - 1] === '/' && i + 2 === source.length) {
+        pattern = pattern.slice(0, -1) + '(?:/.*)?';
+        i += 1;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      pattern += '[^/]*';
+    } else if (ch === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+// Keep only known keys with sensible values; `noDelete: true` is shorthand
+// for `allowDelete: false`
+function sanitize(raw) {
+  const policy = {};
+  if (!raw || typeof raw !== 'object') return policy;
+
+  for (const key of ['readOnly', 'appendOnly', 'allowCreate', 'allowRename', 'allowDelete']) {
+    if (typeof raw[key] === 'boolean') policy[key] = raw[key];
+  }
+  if (raw.noDelete === true) policy.allowDelete = false;
+  if (raw.maxLength === null || (Number.isInteger(raw.maxLength) && raw.maxLength > 0)) {
+    policy.maxLength = raw.maxLength;
+  }
+  if (typeof raw.editor === 'string' && EDITORS.includes(raw.editor.toLowerCase())) {
+    policy.editor = raw.editor.toLowerCase();
+  }
+  if (raw.autosave === false || (Number.isInteger(raw.autosave) && raw.autosave >= 250)) {
+    policy.autosave = raw.autosave;
+  }
+  return policy;
+}
+
+// Apply a note's own policy on top of the config's, keeping every
+// restriction the config set: a note can make itself read-only, but not
+// writable again
+function tighten(policy, fromFrontmatter) {
+  const result = { ...policy };
+  for (const [key, value] of Object.entries(fromFrontmatter)) {
+    if (key === 'readOnly' || key === 'appendOnly') {
+      result[key] = policy[key] || value;
+    } else if (key === 'allowCreate' || key === 'allowRename' || key === 'allowDelete') {
+      result[key] = policy[key] && value;
+    } else if (key === 'maxLength') {
+      result[key] = policy[key] == null ? value : Math.min(policy[key], value ?? Infinity);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Per-path editing policy. Rules come from `config.policies`, an ordered
+ * list of `{ match: "<glob>", ...policy }` where later rules win, and then
+ * from a `policy:` map in the note's own frontmatter. Frontmatter can only
+ * tighten what the config allows (see tighten); its editor and autosave
+ * settings win outright.
+ */
+class PolicyService {
+  constructor(config) {
+    this.rules = (config.policies || [])
+      .filter(rule => rule && typeof rule.match === 'string')
+      .map(rule => ({ match: rule.match, regex: globToRegExp(rule.match), policy: sanitize(rule) }));
+  }
+
+  /**
+   * The effective policy for a vault path. Pass the note's content to take
+   * its frontmatter into account. `sources` lists what contributed.
+   */
+  resolve(relPath, content = null) {
+    const policy = { ...DEFAULT_POLICY };
+    const sources = [];
+
+    for (const rule of this.rules) {
+      if (rule.regex.test(relPath)) {
+        Object.assign(policy, rule.policy);
+        sources.push(`config:${rule.match}`);
+      }
+    }
+
+    if (content) {
+      const fromFrontmatter = sanitize(parseFrontmatter(content).data.policy);
+      if (Object.keys(fromFrontmatter).length > 0) {
+        sources.push('frontmatter');
+        return { ...tighten(policy, fromFrontmatter), sources };
+      }
+    }
+
+    return { ...policy, sources };
+  }
+
+  /**
+   * Throw a PolicyError unless `operation` ('write', 'create', 'rename' or
+   * 'delete') is allowed. Writes need the current and the new content.
+   */
+  check(policy, operation, relPath, { existing = null, content = null } = {}) {
+    const refuse = reason => {
+      throw new PolicyError(`${reason}: ${relPath}`, policy);
+    };
+
+    if (policy.readOnly) refuse('Path is read-only');
+
+    switch (operation) {
+      case 'create':
+        if (!policy.allowCreate) refuse('Creating notes is not allowed here');
+        break;
+      case 'rename':
+        if (!policy.allowRename) refuse('Renaming is not allowed');
+        break;
+      case 'delete':
+        if (!policy.allowDelete) refuse('Deleting is not allowed');
+        if (policy.appendOnly) refuse('Note is append-only');
+        break;
+      case 'write':
+        if (existing === null && !policy.allowCreate) refuse('Creating notes is not allowed here');
+        if (existing !== null && policy.appendOnly && !content.startsWith(existing)) {
+          refuse('Note is append-only; only additions at the end are allowed');
+        }
+        break;
+    }
+
+    if (content !== null && policy.maxLength != null && content.length > policy.maxLength) {
+      refuse(`Content exceeds the maximum length of ${policy.maxLength}`);
+    }
+  }
+}
+
+module.exports = PolicyService;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.globToRegExp = globToRegExp;
@@ -0,0 +1,230 @@
+const path = require('path');
+const logger = require('../logger');
+const { AppError } = require('../middleware/error-handler');
+const { parseFrontmatter, replaceFrontmatter } = require('../frontmatter');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const COMPARISON_PATTERN = /^\s*([^\s<>=!]+)\s*(!=|<=|>=|=|<|>)\s*(.*?)\s*$/;
+const WORD_PATTERN = /^\s*([^\s<>=!]+)\s+(!?contains|exists|missing)(?:\s+(.*?))?\s*$/i;
+
+// YAML dates arrive as Date objects; keep them as ISO strings so they
+// compare and serialize like hand-written ones
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso;
+  }
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeValue(v)]));
+  }
+  return value;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'list';
+  if (value === null || value === undefined) return 'empty';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'object') return 'object';
+  return DATE_PATTERN.test(String(value)) ? 'date' : 'text';
+}
+
+/**
+ * Parse one filter such as "status=draft", "due<2026-11-01",
+ * "tags contains x" or "archived missing".
+ */
+function parsePredicate(expression) {
+  const match = String(expression).match(WORD_PATTERN) || String(expression).match(COMPARISON_PATTERN);
+  if (!match) {
+    throw new AppError(`Invalid filter: ${expression}`, 400, 'INVALID_PARAM');
+  }
+  const operator = match[2].toLowerCase();
+  const value = match[3] ?? '';
+  if (/contains$/.test(operator) && value === '') {
+    throw new AppError(`Filter needs a value: ${expression}`, 400, 'INVALID_PARAM');
+  }
+  return { key: match[1], operator, value };
+}
+
+// Order two property values: numbers numerically, booleans false first,
+// everything else (ISO dates included) as case-insensitive text
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+// The filter literal read as the type of the value it is compared with
+function coerceLiteral(literal, value) {
+  if (typeof value === 'number') {
+    const number = Number(literal);
+    return literal !== '' && !Number.isNaN(number) ? number : literal;
+  }
+  if (typeof value === 'boolean' && /^(true|false)$/i.test(literal)) {
+    return literal.toLowerCase() === 'true';
+  }
+  return literal;
+}
+
+// List items compare as text; a leading "#" is ignored so frontmatter tags
+// match whether or not they were written with one
+function sameItem(item, literal) {
+  const strip = text => String(text).replace(/^#/, '');
+  return compareValues(strip(item), strip(literal)) === 0;
+}
+
+function matchesPredicate(properties, { key, operator, value: literal }) {
+  const has = Object.prototype.hasOwnProperty.call(properties, key) && properties[key] !== null;
+  const value = has ? properties[key] : undefined;
+
+  switch (operator) {
+    case 'exists': return has;
+    case 'missing': return !has;
+    case 'contains':
+    case '!contains': {
+      const found = !has ? false
+        : Array.isArray(value) ? value.some(item => sameItem(item, literal))
+          : String(value).toLowerCase().includes(literal.toLowerCase());
+      return operator === 'contains' ? found : !found;
+    }
+  }
+
+  // A list equals a literal when one of its items does
+  if (Array.isArray(value)) {
+    const found = value.some(item => sameItem(item, literal));
+    if (operator === '=') return found;
+    if (operator === '!=') return !found;
+    return false;
+  }
+
+  if (operator === '!=') return !has || compareValues(value, coerceLiteral(literal, value)) !== 0;
+  if (!has || typeof value === 'object') return false;
+
+  const order = compareValues(value, coerceLiteral(literal, value));
+  switch (operator) {
+    case '=': return order === 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+  }
+  return false;
+}
+
+/**
+ * Frontmatter properties of every note, kept current from vault changes,
+ * for listing keys, filtering notes by property and editing frontmatter
+ * without touching YAML.
+ */
+class PropertyIndex {
+  constructor(vault) {
+    this.vault = vault;
+    this.properties = new Map(); // path -> { key: value }, for every note
+
+    vault.on('write', (filePath, content) => this.updateFile(filePath, content));
+    vault.on('delete', (filePath) => this.properties.delete(filePath));
+    vault.on('rename', (from, to) => {
+      const properties = this.properties.get(from);
+      this.properties.delete(from);
+      this.properties.set(to, properties || {});
+    });
+  }
+
+  async load() {
+    const files = await this.vault.listFiles();
+    for (const file of files) {
+      try {
+        const { content } = await this.vault.readFile(file.path);
+        this.updateFile(file.path, content);
+      } catch (err) {
+        logger.warn('properties', `Could not read properties from ${file.path}`, { error: err.message });
+      }
+    }
+    logger.info('properties', `Indexed properties of ${this.properties.size} notes`);
+  }
+
+  // Notes without frontmatter keep an empty entry so `missing` and the
+  // negated predicates can match them
+  updateFile(filePath, content) {
+    this.properties.set(filePath, normalizeValue(parseFrontmatter(content).data));
+  }
+
+  getProperties(filePath) {
+    return this.properties.get(filePath) || {};
+  }
+
+  // === QUERIES ===
+
+  /**
+   * Every property key as { key, count, types }, where `types` counts the
+   * kinds of value the key holds across notes.
+   */
+  list() {
+    const keys = new Map();
+    for (const properties of this.properties.values()) {
+      for (const [key, value] of Object.entries(properties)) {
+        if (!keys.has(key)) keys.set(key, { key, count: 0, types: {} });
+        const entry = keys.get(key);
+        const type = typeOf(value);
+        entry.count++;
+        entry.types[type] = (entry.types[type] || 0) + 1;
+      }
+    }
+    return Array.from(keys.values())
+      .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Notes matching every filter in `where` (see parsePredicate), sorted on
+   * a property; notes without it sort last either way. `sort` may also be
+   * "path" or "name" for the note itself.
+   */
+  query({ where = [], sort = 'path', order = 'asc', limit = 100 } = {}) {
+    const predicates = where.map(parsePredicate);
+    const direction = order === 'desc' ? -1 : 1;
+
+    const sortValue = (filePath, properties) => {
+      if (Object.prototype.hasOwnProperty.call(properties, sort)) return properties[sort];
+      if (sort === 'path') return filePath;
+      if (sort === 'name') return path.posix.basename(filePath).replace(/\.md$/i, '');
+      return undefined;
+    };
+
+    const results = [];
+    for (const [filePath, properties] of this.properties) {
+      if (!predicates.every(predicate => matchesPredicate(properties, predicate))) continue;
+      results.push({ path: filePath, name: path.posix.basename(filePath), properties, sortValue: sortValue(filePath, properties) });
+    }
+
+    const absent = value => value === undefined || value === null || typeof value === 'object';
+    results.sort((a, b) => {
+      if (absent(a.sortValue) || absent(b.sortValue)) {
+        return Number(absent(a.sortValue)) - Number(absent(b.sortValue)) || a.path.localeCompare(b.path);
+      }
+      return direction * compareValues(a.sortValue, b.sortValue) || a.path.localeCompare(b.path);
+    });
+
+    return {
+      total: results.length,
+      results: results.slice(0, limit).map(({ sortValue, ...result }) => result)
+    };
+  }
+
+  // === EDITING ===
+
+  /**
+   * Replace a note's frontmatter with `properties` through the vault, so
+   * policies and conflict detection apply as for any other save.
+   */
+  async setProperties(notePath, properties, { lastModified = null, user = null } = {}) {
+    const file = await this.vault.readFile(notePath);
+    const content = replaceFrontmatter(file.content, properties);
+    const result = await this.vault.writeFile(file.path, content, { lastModified, user });
+    return { ...result, properties: this.getProperties(file.path), content };
+  }
+}
+
+module.exports = PropertyIndex;
+module.exports.parsePredicate = parsePredicate;
+module.exports.typeOf = typeOf;
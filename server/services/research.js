@@ -103,6 +103,7 @@ class ResearchService {
         abstract: this.cleanAbstract(item.content || item.contentSnippet || item.summary || ''),
         url: item.link || item.guid,
         date: item.pubDate || item.isoDate,
+        category: this.parseCategory(item.primaryCategory) || this.parseCategory(item.categories?.[0]),
         comment: item.comment || null
       }));
     } catch (error) {
@@ -131,6 +132,12 @@ class ResearchService {
       .filter(a => a.length > 0);
   }
 
+  // Categories come as text or as an element with a term attribute
+  parseCategory(category) {
+    const term = typeof category === 'string' ? category : category?.$?.term || category?._;
+    return term?.trim() || null;
+  }
+
   cleanAbstract(abstract) {
     return (abstract || '')
       .replace(/<[^>]+>/g, '')
@@ -0,0 +1,344 @@
+const path = require('path');
+const logger = require('../logger');
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const NAME_MATCH_BONUS = 2;
+const MAX_MATCH_LINES = 5;
+
+/**
+ * Split text into lowercase word tokens, numbered by position. A word
+ * written as "#word" also yields a "#word" tag token at the same position,
+ * so tags can be searched on their own and still take part in phrases.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+  text.split('\n').forEach((line, index) => {
+    for (const match of line.matchAll(WORD_PATTERN)) {
+      const term = match[0].toLowerCase();
+      const start = match.index;
+      const end = start + match[0].length;
+      tokens.push({ term, position, line: index + 1, start, end });
+      if (start > 0 && line[start - 1] === '#') {
+        tokens.push({ term: '#' + term, position, line: index + 1, start: start - 1, end, tag: true });
+      }
+      position++;
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Parse a query into clauses, all of which must match:
+ *   word       a single term
+ *   foo-bar    several words in a row, matched as a phrase
+ *   "a b c"    an explicit phrase
+ *   #tag       a tag, rather than the plain word
+ *   word*      a prefix; the last unquoted clause is always a prefix
+ */
+function parseQuery(query) {
+  const clauses = [];
+  for (const match of String(query).matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const quoted = match[1] !== undefined;
+    const text = quoted ? match[1] : match[2];
+
+    // One term per position, preferring the tag form where the query has one
+    const terms = [];
+    for (const token of tokenize(text)) {
+      if (token.tag) {
+        terms[terms.length - 1] = token.term;
+      } else {
+        terms.push(token.term);
+      }
+    }
+    if (terms.length === 0) continue;
+    clauses.push({ text, terms, quoted, prefix: !quoted && text.endsWith('*') });
+  }
+
+  const last = clauses[clauses.length - 1];
+  if (last && !last.quoted) last.prefix = true;
+  return clauses;
+}
+
+// Merge overlapping [start, end] ranges
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+  }
+  return merged;
+}
+
+/**
+ * In-memory inverted index over the vault's notes with BM25 ranking.
+ * Kept current from the vault's 'write', 'delete' and 'rename' events.
+ */
+class SearchIndex {
+  constructor(vault) {
+    this.vault = vault;
+    this.docs = new Map();      // path -> { path, name, content, length, terms }
+    this.postings = new Map();  // term -> Map(path -> [positions])
+    this.sortedTerms = null;    // lazily rebuilt for prefix lookups
+    this.totalLength = 0;
+
+    vault.on('write', (filePath, content) => this.addDocument(filePath, content));
+    vault.on('delete', (filePath) => this.removeDocument(filePath));
+    vault.on('rename', (from, to) => this.renameDocument(from, to));
+  }
+
+  async load() {
+    const files = await this.vault.listFiles();
+    for (const file of files) {
+      try {
+        const { content } = await this.vault.readFile(file.path);
+        this.addDocument(file.path, content);
+      } catch (err) {
+        logger.warn('search', `Could not index ${file.path}`, { error: err.message });
+      }
+    }
+    logger.info('search', `Indexed ${this.docs.size} notes`, { terms: this.postings.size });
+  }
+
+  // === INDEX MAINTENANCE ===
+
+  addDocument(filePath, content) {
+    this.removeDocument(filePath);
+
+    const tokens = tokenize(content);
+    const positionsByTerm = new Map();
+    for (const token of tokens) {
+      if (!positionsByTerm.has(token.term)) positionsByTerm.set(token.term, []);
+      positionsByTerm.get(token.term).push(token.position);
+    }
+    for (const [term, positions] of positionsByTerm) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(filePath, positions);
+    }
+
+    const length = tokens.filter(token => !token.tag).length;
+    this.docs.set(filePath, {
+      path: filePath,
+      name: path.posix.basename(filePath),
+      content,
+      length,
+      terms: Array.from(positionsByTerm.keys())
+    });
+    this.totalLength += length;
+  }
+
+  removeDocument(filePath) {
+    const doc = this.docs.get(filePath);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+      docs.delete(filePath);
+      if (docs.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    this.docs.delete(filePath);
+    this.totalLength -= doc.length;
+  }
+
+  renameDocument(from, to) {
+    const doc = this.docs.get(from);
+    if (!doc) return;
+    this.addDocument(to, doc.content);
+    this.removeDocument(from);
+  }
+
+  // Every indexed term starting with `prefix`
+  expandPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+    const terms = this.sortedTerms;
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (terms[mid] < prefix) low = mid + 1; else high = mid;
+    }
+    const matches = [];
+    for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+      matches.push(terms[i]);
+    }
+    return matches;
+  }
+
+  // === QUERYING ===
+
+  /**
+   * Documents matching one clause, as Map(path -> Set of matched positions).
+   * For a phrase every position of every occurrence is included.
+   */
+  matchClause(clause) {
+    const lookup = (term, prefix) => {
+      const merged = new Map();
+      for (const expanded of prefix ? this.expandPrefix(term) : [term]) {
+        for (const [docPath, positions] of this.postings.get(expanded) || []) {
+          if (!merged.has(docPath)) merged.set(docPath, new Set());
+          positions.forEach(p => merged.get(docPath).add(p));
+        }
+      }
+      return merged;
+    };
+
+    const { terms, prefix } = clause;
+    const postings = terms.map((term, i) => lookup(term, prefix && i === terms.length - 1));
+    if (terms.length === 1) return postings[0];
+
+    const matches = new Map();
+    for (const [docPath, starts] of postings[0]) {
+      const matched = new Set();
+      for (const start of starts) {
+        if (postings.every((p, i) => p.get(docPath)?.has(start + i))) {
+          terms.forEach((_, i) => matched.add(start + i));
+        }
+      }
+      if (matched.size > 0) matches.set(docPath, matched);
+    }
+    return matches;
+  }
+
+  // A note's name matches when every clause's words start a word in it.
+  // Tags only ever match content.
+  matchesName(doc, clauses) {
+    const nameTerms = tokenize(doc.name.replace(/\.md$/i, '')).map(token => token.term);
+    return clauses.every(clause => clause.terms.every(term =>
+      !term.startsWith('#') && nameTerms.some(nameTerm => nameTerm.startsWith(term))));
+  }
+
+  /**
+   * Search the vault. Results are ranked by BM25 over the query clauses,
+   * with a bonus for notes whose name matches. Each result carries the best
+   * matching line and up to a few more, with character ranges to highlight.
+   */
+  search(query, { limit = 50 } = {}) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) return [];
+
+    const docCount = this.docs.size;
+    const avgLength = docCount > 0 ? this.totalLength / docCount : 0;
+    const clauseMatches = clauses.map(clause => this.matchClause(clause));
+
+    const scored = new Map();
+    const [first, ...rest] = clauseMatches;
+    for (const docPath of first.keys()) {
+      if (!rest.every(matches => matches.has(docPath))) continue;
+
+      const doc = this.docs.get(docPath);
+      let score = 0;
+      clauseMatches.forEach((matches, i) => {
+        const df = matches.size;
+        const tf = matches.get(docPath).size / clauses[i].terms.length;
+        const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / (avgLength || 1)));
+        score += idf * (tf * (BM25_K1 + 1)) / (tf + norm);
+      });
+      scored.set(docPath, { doc, score, contentMatch: true });
+    }
+
+    for (const doc of this.docs.values()) {
+      if (!this.matchesName(doc, clauses)) continue;
+      const entry = scored.get(doc.path) || { doc, score: 0, contentMatch: false };
+      entry.score += NAME_MATCH_BONUS;
+      entry.nameMatch = true;
+      scored.set(doc.path, entry);
+    }
+
+    const isTagQuery = clauses.length === 1 && clauses[0].terms.length === 1 && clauses[0].terms[0].startsWith('#');
+    return Array.from(scored.values())
+      .sort((a, b) => b.score - a.score || a.doc.path.localeCompare(b.doc.path))
+      .slice(0, limit)
+      .map(entry => this.buildResult(entry, clauseMatches, isTagQuery));
+  }
+
+  buildResult({ doc, score, nameMatch = false, contentMatch }, clauseMatches, isTagQuery) {
+    const result = {
+      path: doc.path,
+      name: doc.name,
+      score: Math.round(score * 1000) / 1000,
+      nameMatch,
+      contentMatch,
+      context: '',
+      lineNumber: null,
+      matchLine: '',
+      highlights: [],
+      matches: [],
+      children: ''
+    };
+    if (!contentMatch) return result;
+
+    // Group matched positions by line, remembering which clauses each covers
+    const lines = doc.content.split('\n');
+    const byLine = new Map();
+    for (const token of tokenize(doc.content)) {
+      clauseMatches.forEach((matches, i) => {
+        if (!matches.get(doc.path)?.has(token.position)) return;
+        if (!byLine.has(token.line)) byLine.set(token.line, { clauses: new Set(), ranges: [] });
+        const entry = byLine.get(token.line);
+        entry.clauses.add(i);
+        entry.ranges.push([token.start, token.end]);
+      });
+    }
+
+    const matchLines = Array.from(byLine.entries())
+      .map(([lineNumber, entry]) => ({
+        lineNumber,
+        line: lines[lineNumber - 1],
+        highlights: mergeRanges(entry.ranges),
+        coverage: entry.clauses.size
+      }));
+    const best = matchLines.reduce((top, m) => (!top || m.coverage > top.coverage ? m : top), null);
+    if (!best) return result;
+
+    result.lineNumber = best.lineNumber;
+    result.matchLine = best.line;
+    result.highlights = best.highlights;
+    result.matches = matchLines.slice(0, MAX_MATCH_LINES)
+      .map(({ lineNumber, line, highlights }) => ({ lineNumber, line, highlights }));
+
+    // For tags, include the indented block under the tagged line
+    if (isTagQuery) {
+      result.children = this.childLines(lines, best.lineNumber - 1);
+    }
+    return result;
+  }
+
+  childLines(lines, index) {
+    const indentOf = line => line.match(/^(\s*)/)[1].length;
+    const baseIndent = indentOf(lines[index]);
+    const children = [];
+    for (let j = index + 1; j < lines.length; j++) {
+      if (lines[j].trim() === '') {
+        children.push('');
+        continue;
+      }
+      if (indentOf(lines[j]) <= baseIndent) break;
+      children.push(lines[j]);
+    }
+    while (children.length > 0 && children[children.length - 1] === '') {
+      children.pop();
+    }
+    return children.join('\n');
+  }
+}
+
+module.exports = SearchIndex;
+module.exports.tokenize = tokenize;
+module.exports.parseQuery = parseQuery;
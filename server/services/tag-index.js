@@ -0,0 +1,138 @@
+const logger = require('../logger');
+const { parseFrontmatter } = require('../frontmatter');
+
+// Same shape as db.updateTags, plus "/" for nested tags like #project/h3lper
+const INLINE_TAG_PATTERN = /(?:^|\s)(#[A-Za-z0-9_./-]*[A-Za-z0-9_])/g;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Frontmatter tags may be a list or a comma/space separated string, with
+// or without the leading "#"
+function frontmatterTags(data) {
+  const raw = data.tags ?? data.tag;
+  if (raw == null) return [];
+  const values = Array.isArray(raw) ? raw : String(raw).split(/[,\s]+/);
+  return values
+    .map(value => String(value ?? '').trim().replace(/^#/, ''))
+    .filter(value => /^[A-Za-z0-9_./-]*[A-Za-z0-9_]$/.test(value))
+    .map(value => '#' + value);
+}
+
+/**
+ * Count the tags in one note: inline #tags outside code fences plus the
+ * frontmatter `tags:` list. Returns Map(tag -> count).
+ */
+function extractTags(content) {
+  const { data, body } = parseFrontmatter(content);
+  const counts = new Map();
+  const add = tag => counts.set(tag, (counts.get(tag) || 0) + 1);
+
+  frontmatterTags(data).forEach(add);
+
+  let inFence = false;
+  for (const line of body.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+    for (const match of line.matchAll(INLINE_TAG_PATTERN)) {
+      add(match[1].replace(/\/+$/, ''));
+    }
+  }
+  return counts;
+}
+
+// "#a/b/c" -> ["#a", "#a/b", "#a/b/c"]
+function tagAncestry(tag) {
+  const parts = tag.substring(1).split('/').filter(Boolean);
+  return parts.map((_, i) => '#' + parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Tag inventory over the vault, kept current from vault changes. Nested
+ * tags roll up: a note tagged #project/h3lper also counts toward #project.
+ */
+class TagIndex {
+  constructor(vault) {
+    this.vault = vault;
+    this.fileTags = new Map(); // path -> Map(tag -> count)
+
+    vault.on('write', (filePath, content) => this.updateFile(filePath, content));
+    vault.on('delete', (filePath) => this.fileTags.delete(filePath));
+    vault.on('rename', (from, to) => {
+      const tags = this.fileTags.get(from);
+      this.fileTags.delete(from);
+      if (tags) this.fileTags.set(to, tags);
+    });
+  }
+
+  async load() {
+    const files = await this.vault.listFiles();
+    for (const file of files) {
+      try {
+        const { content } = await this.vault.readFile(file.path);
+        this.updateFile(file.path, content);
+      } catch (err) {
+        logger.warn('tags', `Could not read tags from ${file.path}`, { error: err.message });
+      }
+    }
+    logger.info('tags', `Indexed tags in ${this.fileTags.size} notes`);
+  }
+
+  updateFile(filePath, content) {
+    const tags = extractTags(content);
+    if (tags.size > 0) {
+      this.fileTags.set(filePath, tags);
+    } else {
+      this.fileTags.delete(filePath);
+    }
+  }
+
+  getFileTags(filePath) {
+    return Array.from(this.fileTags.get(filePath)?.keys() || []);
+  }
+
+  /**
+   * Every tag as { tag, files: [{ file, count }], totalCount, count, parent }.
+   * `count` is how often the tag itself is used; `files` and `totalCount`
+   * include its nested tags.
+   */
+  list() {
+    const entries = new Map();
+    const entryFor = tag => {
+      if (!entries.has(tag)) {
+        const ancestry = tagAncestry(tag);
+        entries.set(tag, {
+          tag,
+          files: new Map(),
+          totalCount: 0,
+          count: 0,
+          parent: ancestry.length > 1 ? ancestry[ancestry.length - 2] : null
+        });
+      }
+      return entries.get(tag);
+    };
+
+    for (const [file, tags] of this.fileTags) {
+      for (const [tag, count] of tags) {
+        entryFor(tag).count += count;
+        for (const ancestor of tagAncestry(tag)) {
+          const entry = entryFor(ancestor);
+          entry.files.set(file, (entry.files.get(file) || 0) + count);
+          entry.totalCount += count;
+        }
+      }
+    }
+
+    return Array.from(entries.values())
+      .map(entry => ({
+        ...entry,
+        files: Array.from(entry.files, ([file, count]) => ({ file, count }))
+          .sort((a, b) => b.count - a.count || a.file.localeCompare(b.file))
+      }))
+      .sort((a, b) => b.totalCount - a.totalCount || a.tag.localeCompare(b.tag));
+  }
+}
+
+module.exports = TagIndex;
+module.exports.extractTags = extractTags;
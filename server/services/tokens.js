@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { writeFileAtomicSync } = require('../atomic-file');
+const { AppError } = require('../middleware/error-handler');
+const { roleRank } = require('./users');
+
+const TOKEN_PREFIX = 'h3l_';
+const SAVE_DELAY_MS = 5000;
+const MAX_TOKENS_PER_USER = 25;
+
+// Each scope and the least role that may hold it. A write scope covers
+// reading the same area.
+const SCOPES = {
+  'helper:read': 'viewer',
+  'helper:write': 'editor',
+  'whiteboard:read': 'viewer',
+  'whiteboard:write': 'editor',
+  'vault:read': 'viewer',
+  'vault:write': 'editor'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Everything about a token except its hash
+function publicToken(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+function hasScope(scopes, area, access) {
+  return scopes.includes(`${area}:write`) || (access === 'read' && scopes.includes(`${area}:read`));
+}
+
+/**
+ * Personal API tokens for scripts and dashboards, sent as
+ * `Authorization: Bearer h3l_...`. Only a SHA-256 of each token is stored,
+ * in server/data/users/tokens.json; the token itself is shown once.
+ */
+class TokenService {
+  constructor(users) {
+    this.users = users;
+    this.filePath = path.join(users.dataDir, 'tokens.json');
+    this.tokens = new Map(); // id -> record
+    this.byHash = new Map(); // hash -> record
+    this.saveTimer = null;
+    this.dirty = false;
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const record of saved.tokens || []) {
+        this.tokens.set(record.id, record);
+        this.byHash.set(record.hash, record);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    logger.info('tokens', `Loaded ${this.tokens.size} API token(s)`);
+  }
+
+  list(userId) {
+    return Array.from(this.tokens.values())
+      .filter(record => record.userId === userId)
+      .map(publicToken)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Create a token for `user`. Returns the record plus `token`, the secret,
+   * which is not kept and can't be shown again.
+   */
+  create(user, { name, scopes, expiresInDays = null }) {
+    const label = String(name || '').replace(/\s+/g, ' ').trim().substring(0, 60);
+    if (!label) {
+      throw new AppError('name is required', 400, 'MISSING_PARAM');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new AppError(`scopes must list one or more of ${Object.keys(SCOPES).join(', ')}`, 400, 'INVALID_PARAM');
+    }
+    for (const scope of scopes) {
+      if (!SCOPES[scope]) {
+        throw new AppError(`Unknown scope: ${scope}`, 400, 'INVALID_PARAM');
+      }
+      if (roleRank(user.role) < roleRank(SCOPES[scope])) {
+        throw new AppError(`The ${scope} scope needs the ${SCOPES[scope]} role`, 403, 'FORBIDDEN');
+      }
+    }
+    if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= 3650)) {
+      throw new AppError('expiresInDays must be a whole number of days (1-3650)', 400, 'INVALID_PARAM');
+    }
+    if (this.list(user.id).length >= MAX_TOKENS_PER_USER) {
+      throw new AppError(`At most ${MAX_TOKENS_PER_USER} tokens per user`, 409, 'CONFLICT');
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const token = TOKEN_PREFIX + secret;
+    const now = new Date();
+    const record = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      name: label,
+      scopes: [...new Set(scopes)],
+      prefix: token.substring(0, TOKEN_PREFIX.length + 6),
+      hash: hashToken(token),
+      createdAt: now.toISOString(),
+      expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 86400000).toISOString() : null,
+      lastUsedAt: null
+    };
+
+    this.tokens.set(record.id, record);
+    this.byHash.set(record.hash, record);
+    this.save();
+    logger.info('tokens', `Created token "${label}" for ${user.username}`, { scopes: record.scopes });
+    return { ...publicToken(record), token };
+  }
+
+  revoke(userId, id) {
+    const record = this.tokens.get(id);
+    if (!record || record.userId !== userId) {
+      throw new AppError('Token not found', 404, 'NOT_FOUND');
+    }
+    this.tokens.delete(id);
+    this.byHash.delete(record.hash);
+    this.save();
+    return publicToken(record);
+  }
+
+  // Drop the tokens of a deleted user
+  revokeAll(userId) {
+    for (const record of Array.from(this.tokens.values())) {
+      if (record.userId !== userId) continue;
+      this.tokens.delete(record.id);
+      this.byHash.delete(record.hash);
+    }
+    this.save();
+  }
+
+  /**
+   * The token record and its (active) user for a bearer token, or null.
+   * Records when the token was last used.
+   */
+  authenticate(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+    const record = this.byHash.get(hashToken(token));
+    if (!record) return null;
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) return null;
+
+    const user = this.users.get(record.userId);
+    if (!user || user.disabled) return null;
+
+    record.lastUsedAt = new Date().toISOString();
+    this.scheduleSave();
+    return { token: publicToken(record), user };
+  }
+
+  // === PERSISTENCE ===
+
+  save() {
+    this.dirty = true;
+    this.flush();
+  }
+
+  // Last-used times change on every request, so they are saved lazily
+  scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  // Synchronous so it can also run on shutdown
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.dirty) return;
+
+    try {
+      const tokens = Array.from(this.tokens.values());
+      this.users.ensureDataDir();
+      writeFileAtomicSync(this.filePath, JSON.stringify({ tokens }, null, 2));
+      this.dirty = false;
+    } catch (err) {
+      logger.error('tokens', 'Failed to save API tokens', err);
+    }
+  }
+}
+
+module.exports = TokenService;
+module.exports.SCOPES = SCOPES;
+module.exports.hasScope = hasScope;
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AppError } = require('../middleware/error-handler');
+const { writeFileAtomic } = require('../atomic-file');
+const logger = require('../logger');
+
+const ID_PATTERN = /^\d+-[0-9a-f]{8}$/;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Deleted notes and folders, kept in the vault's hidden .trash/ folder
+ * until restored or purged. Each deletion gets its own entry folder
+ * holding what was deleted plus meta.json: { id, path, type, deletedAt,
+ * deletedBy, size, files }, where `files` lists the notes it contained.
+ *
+ * Entries older than config.trash.retentionDays (30 by default) are purged
+ * automatically; set it to 0 to keep them until purged by hand.
+ */
+class Trash {
+  constructor(root, config) {
+    this.dir = path.join(root, '.trash');
+    this.retentionDays = config.trash?.retentionDays ?? 30;
+    this.purgeTimer = null;
+  }
+
+  entryDir(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new AppError('Invalid trash id', 400, 'INVALID_PARAM');
+    }
+    return path.join(this.dir, id);
+  }
+
+  /**
+   * Move `absolute` (the vault path `relPath`) into a new trash entry.
+   */
+  async put(absolute, relPath, { type, user = null, size = 0, files = [] }) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const dir = this.entryDir(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.rename(absolute, path.join(dir, path.basename(relPath)));
+
+    const meta = { id, path: relPath, type, deletedAt: new Date().toISOString(), deletedBy: user, size, files };
+    await writeFileAtomic(path.join(dir, 'meta.json'), JSON.stringify(meta, null, 2));
+    return meta;
+  }
+
+  /**
+   * An entry's metadata plus `stored`, the absolute path of its content.
+   */
+  async get(id) {
+    const dir = this.entryDir(id);
+    let meta;
+    try {
+      meta = JSON.parse(await fs.promises.readFile(path.join(dir, 'meta.json'), 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new AppError(`Not in the trash: ${id}`, 404, 'NOT_FOUND');
+      }
+      throw err;
+    }
+    return { ...meta, stored: path.join(dir, path.basename(meta.path)) };
+  }
+
+  // Every entry, most recently deleted first
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const entries = [];
+    for (const name of names.filter(n => ID_PATTERN.test(n))) {
+      try {
+        const { stored, ...meta } = await this.get(name);
+        entries.push(meta);
+      } catch (err) {
+        logger.warn('trash', `Skipping unreadable trash entry ${name}`, { error: err.message });
+      }
+    }
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  // Delete an entry for good
+  async remove(id) {
+    await fs.promises.rm(this.entryDir(id), { recursive: true, force: true });
+  }
+
+  async purgeExpired() {
+    if (!this.retentionDays) return [];
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const expired = (await this.list()).filter(entry => entry.deletedAt < cutoff);
+    for (const entry of expired) {
+      await this.remove(entry.id);
+    }
+    if (expired.length > 0) {
+      logger.info('trash', `Purged ${expired.length} expired trash entr${expired.length === 1 ? 'y' : 'ies'}`);
+    }
+    return expired;
+  }
+
+  // Purge expired entries now and every few hours after
+  startAutoPurge() {
+    const purge = () => this.purgeExpired().catch(err => logger.error('trash', 'Auto-purge failed', err));
+    purge();
+    this.purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+    this.purgeTimer.unref();
+  }
+}
+
+module.exports = Trash;
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { writeFileAtomicSync } = require('../atomic-file');
+const { AppError } = require('../middleware/error-handler');
+const { validatePassword, hashPassword, verifyPassword } = require('../passwords');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+// Per-user preferences the client keeps on the server. Each validator
+// returns the cleaned value or throws; null clears the preference.
+const PREFERENCES = {
+  weatherLocation(value) {
+    const lat = Number(value?.lat);
+    const lon = Number(value?.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw new Error('weatherLocation needs lat (-90..90) and lon (-180..180)');
+    }
+    return { lat, lon, name: String(value.name || '').trim().substring(0, 80) || null };
+  },
+  stockWatchlist(value) {
+    if (!Array.isArray(value)) throw new Error('stockWatchlist must be a list of symbols');
+    const symbols = [...new Set(value.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))];
+    const invalid = symbols.find(symbol => !/^[A-Z0-9.^=-]{1,12}$/.test(symbol));
+    if (invalid) throw new Error(`Invalid stock symbol: ${invalid}`);
+    return symbols.slice(0, 50);
+  },
+  researchCategories(value) {
+    if (!Array.isArray(value)) throw new Error('researchCategories must be a list of arXiv categories');
+    const categories = [...new Set(value.map(category => String(category).trim()).filter(Boolean))];
+    const invalid = categories.find(category => !/^[a-z-]+(\.[A-Za-z-]+)?$/.test(category));
+    if (invalid) throw new Error(`Invalid research category: ${invalid}`);
+    return categories.slice(0, 30);
+  }
+};
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+// Everything about a user except the password hash
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * User accounts with roles (viewer, editor, admin) and their preferences,
+ * stored in server/data/users/users.json.
+ */
+class UserService {
+  constructor(config) {
+    this.config = config;
+    this.dataDir = path.join(__dirname, '../data/users/');
+    this.filePath = path.join(this.dataDir, 'users.json');
+    this.users = new Map(); // id -> user
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      for (const user of saved.users || []) {
+        this.users.set(user.id, user);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    this.migrateSinglePassword();
+    logger.info('users', `Loaded ${this.users.size} user(s)`);
+  }
+
+  // Earlier versions had one password in config.passwordHash; it becomes
+  // the password of an "admin" account
+  migrateSinglePassword() {
+    if (this.users.size > 0 || !this.config.passwordHash) return;
+
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      username: 'admin',
+      displayName: 'Admin',
+      role: 'admin',
+      passwordHash: this.config.passwordHash,
+      disabled: false,
+      createdAt: now,
+      updatedAt: now,
+      preferences: {}
+    };
+    this.users.set(user.id, user);
+    this.save();
+    logger.info('users', 'Moved the configured password to user "admin"');
+  }
+
+  save() {
+    const users = Array.from(this.users.values());
+    writeFileAtomicSync(this.filePath, JSON.stringify({ users }, null, 2));
+  }
+
+  hasUsers() {
+    return this.users.size > 0;
+  }
+
+  get(id) {
+    return this.users.get(id) || null;
+  }
+
+  findByUsername(username) {
+    const wanted = String(username || '').trim().toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.username === wanted) return user;
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.users.values())
+      .map(publicUser)
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  // The user for a username and password, or null
+  async authenticate(username, password) {
+    const user = this.findByUsername(username);
+    if (!user) {
+      // Spend the same effort so timing doesn't reveal which usernames exist
+      await hashPassword(String(password));
+      return null;
+    }
+    const valid = await verifyPassword(password, user.passwordHash);
+    return valid && !user.disabled ? user : null;
+  }
+
+  // === ACCOUNTS ===
+
+  async create({ username, password, role = 'editor', displayName = '' }) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new AppError('username must be 2-32 lowercase letters, digits, ".", "_" or "-"', 400, 'INVALID_PARAM');
+    }
+    if (this.findByUsername(name)) {
+      throw new AppError(`User "${name}" already exists`, 409, 'CONFLICT');
+    }
+    if (!ROLES.includes(role)) {
+      throw new AppError(`role must be one of ${ROLES.join(', ')}`, 400, 'INVALID_PARAM');
+    }
+    validatePassword(password);
+
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      username: name,
+      displayName: String(displayName || '').trim().substring(0, 80) || name,
+      role,
+      passwordHash: await hashPassword(password),
+      disabled: false,
+      createdAt: now,
+      updatedAt: now,
+      preferences: {}
+    };
+    this.users.set(user.id, user);
+    this.save();
+    logger.info('users', `Created user "${name}"`, { role });
+    return publicUser(user);
+  }
+
+  /**
+   * Change a user's displayName, role, password or disabled flag. The last
+   * active admin can't be demoted or disabled.
+   */
+  async update(id, changes) {
+    const user = this.requireUser(id);
+    const next = { ...user };
+
+    if (changes.displayName !== undefined) {
+      next.displayName = String(changes.displayName || '').trim().substring(0, 80) || user.username;
+    }
+    if (changes.role !== undefined) {
+      if (!ROLES.includes(changes.role)) {
+        throw new AppError(`role must be one of ${ROLES.join(', ')}`, 400, 'INVALID_PARAM');
+      }
+      next.role = changes.role;
+    }
+    if (changes.disabled !== undefined) {
+      next.disabled = Boolean(changes.disabled);
+    }
+    if (changes.password !== undefined) {
+      validatePassword(changes.password);
+      next.passwordHash = await hashPassword(changes.password);
+    }
+
+    this.requireAnotherAdmin(user, next);
+    next.updatedAt = new Date().toISOString();
+    this.users.set(id, next);
+    this.save();
+    return publicUser(next);
+  }
+
+  remove(id) {
+    const user = this.requireUser(id);
+    this.requireAnotherAdmin(user, null);
+    this.users.delete(id);
+    this.save();
+    logger.info('users', `Deleted user "${user.username}"`);
+    return publicUser(user);
+  }
+
+  requireUser(id) {
+    const user = this.get(id);
+    if (!user) {
+      throw new AppError('User not found', 404, 'NOT_FOUND');
+    }
+    return user;
+  }
+
+  // Refuse a change that would leave no active admin
+  requireAnotherAdmin(user, next) {
+    const isActiveAdmin = u => u && u.role === 'admin' && !u.disabled;
+    if (!isActiveAdmin(user) || isActiveAdmin(next)) return;
+
+    const others = Array.from(this.users.values()).filter(u => u.id !== user.id && isActiveAdmin(u));
+    if (others.length === 0) {
+      throw new AppError('At least one active admin is required', 409, 'CONFLICT');
+    }
+  }
+
+  // === PREFERENCES ===
+
+  getPreferences(id) {
+    return { ...this.requireUser(id).preferences };
+  }
+
+  // Merge `changes` into the user's preferences; null removes a key
+  updatePreferences(id, changes) {
+    const user = this.requireUser(id);
+    const preferences = { ...user.preferences };
+
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (!PREFERENCES[key]) {
+        throw new AppError(`Unknown preference: ${key}`, 400, 'INVALID_PARAM');
+      }
+      if (value === null) {
+        delete preferences[key];
+        continue;
+      }
+      try {
+        preferences[key] = PREFERENCES[key](value);
+      } catch (err) {
+        throw new AppError(err.message, 400, 'INVALID_PARAM');
+      }
+    }
+
+    user.preferences = preferences;
+    user.updatedAt = new Date().toISOString();
+    this.save();
+    return { ...preferences };
+  }
+}
+
+module.exports = UserService;
+module.exports.ROLES = ROLES;
+module.exports.roleRank = roleRank;
+module.exports.publicUser = publicUser;
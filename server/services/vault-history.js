@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const { AppError } = require('../middleware/error-handler');
+const logger = require('../logger');
+
+const execFileAsync = util.promisify(execFile);
+
+const REV_PATTERN = /^[0-9a-f]{7,40}$/i;
+const DEFAULT_AUTHOR = { name: 'H3LPeR', email: 'h3lper@localhost' };
+// Set in repositories this service created; it commits to no others
+const OWNER_KEY = 'h3lper.history';
+
+// Only notes are versioned: not attachments, and nothing hidden
+const EXCLUDES = ['*', '!*/', '!*.md', '.*'].join('\n') + '\n';
+
+/**
+ * Version history for the vault, kept in a local git repository of its own
+ * at <vault>/.h3lper-history (no remote needed) with the vault as its work
+ * tree. A repository the vault already is, for instance one the team edits
+ * it with, is left alone: the service only commits to a repository it
+ * created. Changes from vault events are gathered for
+ * config.vault.commitDelaySeconds (30 by default) and then committed, one
+ * commit per user with that user as the author. Changes found on disk, by
+ * the watcher or at startup, are committed under the default author.
+ *
+ * Set config.vault.history to false to turn it off. Without a git binary
+ * it stays off and the history endpoints answer 503.
+ */
+class VaultHistory {
+  constructor(config, vault) {
+    this.vault = vault;
+    this.enabled = config.vault?.history !== false;
+    this.delayMs = (config.vault?.commitDelaySeconds ?? 30) * 1000;
+    this.gitDir = path.join(vault.root, '.h3lper-history');
+    this.excludesFile = path.join(this.gitDir, 'h3lper-excludes');
+    this.pending = new Map(); // username ('' for none) -> Map(path -> change)
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.ready = false;
+
+    vault.on('write', (filePath, content, meta) => this.note(meta?.user, filePath, 'update'));
+    vault.on('delete', (filePath, meta) => this.note(meta?.user, filePath, 'delete'));
+    vault.on('rename', (from, to, meta) => {
+      this.note(meta?.user, from, 'delete');
+      this.note(meta?.user, to, { renamedFrom: from });
+    });
+  }
+
+  // Run git on the history repository, never one the vault happens to have
+  async git(args, { allowFailure = false } = {}) {
+    const fullArgs = [
+      '--git-dir', this.gitDir,
+      '--work-tree', this.vault.root,
+      '--literal-pathspecs',
+      '-c', `user.name=${DEFAULT_AUTHOR.name}`,
+      '-c', `user.email=${DEFAULT_AUTHOR.email}`,
+      '-c', 'core.quotepath=off',
+      '-c', `core.excludesFile=${this.excludesFile}`,
+      ...args
+    ];
+    try {
+      const { stdout } = await execFileAsync('git', fullArgs, {
+        cwd: this.vault.root,
+        maxBuffer: 64 * 1024 * 1024,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+      });
+      return stdout;
+    } catch (err) {
+      if (allowFailure) return null;
+      throw err;
+    }
+  }
+
+  // Serialise everything that changes the repository
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(err => logger.error('history', 'Git operation failed', err));
+    return run;
+  }
+
+  async init() {
+    if (!this.enabled) return;
+
+    try {
+      await execFileAsync('git', ['--version']);
+    } catch (err) {
+      logger.warn('history', 'git is not installed; vault history is off');
+      this.enabled = false;
+      return;
+    }
+
+    const owned = await this.enqueue(async () => {
+      if (!fs.existsSync(this.gitDir)) {
+        await this.git(['init', '-q']);
+        await this.git(['config', OWNER_KEY, 'true']);
+        logger.info('history', `Created the history repository ${this.gitDir}`);
+      } else if ((await this.git(['config', '--get', OWNER_KEY], { allowFailure: true }))?.trim() !== 'true') {
+        return false;
+      }
+      fs.writeFileSync(this.excludesFile, EXCLUDES);
+
+      // Whatever changed while the server was down
+      await this.git(['add', '-A']);
+      if (await this.hasStaged()) {
+        await this.git(['commit', '-q', '-m', 'Changes made outside the app']);
+      }
+      return true;
+    });
+    if (!owned) {
+      logger.warn('history', `${this.gitDir} was not created by the vault history; history is off`);
+      this.enabled = false;
+      return;
+    }
+    this.ready = true;
+  }
+
+  requireReady() {
+    if (!this.ready) {
+      throw new AppError('Vault history is not available', 503, 'HISTORY_UNAVAILABLE');
+    }
+  }
+
+  note(user, filePath, change) {
+    if (!this.enabled || !this.vault.isMarkdown(filePath)) return;
+
+    const key = user || '';
+    if (!this.pending.has(key)) this.pending.set(key, new Map());
+    this.pending.get(key).set(filePath, change);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.delayMs);
+    }
+  }
+
+  /**
+   * Commit everything gathered so far. History reads call this first so
+   * they include the latest saves.
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.ready || this.pending.size === 0) return this.queue;
+
+    const batches = Array.from(this.pending.entries());
+    this.pending.clear();
+    return this.enqueue(async () => {
+      for (const [user, changes] of batches) {
+        await this.commit(user || null, changes);
+      }
+    });
+  }
+
+  async commit(user, changes) {
+    const paths = Array.from(changes.keys());
+    // Paths gone from disk that git never saw (created and deleted in one batch) can't be staged
+    const tracked = new Set((await this.git(['ls-files', '-z', '--', ...paths])).split('\0').filter(Boolean));
+    const stageable = paths.filter(p => tracked.has(p) || fs.existsSync(path.join(this.vault.root, p)));
+    if (stageable.length === 0) return;
+
+    await this.git(['add', '-A', '--', ...stageable]);
+    if (!(await this.hasStaged(stageable))) return;
+
+    const args = ['commit', '-q', '-m', this.message(changes)];
+    if (user) args.push(`--author=${user} <${user}@h3lper.local>`);
+    await this.git([...args, '--', ...stageable]);
+    logger.debug('history', `Committed ${stageable.length} note(s)`, { user });
+  }
+
+  async hasStaged(paths = []) {
+    return (await this.git(['diff', '--cached', '--quiet', '--', ...paths], { allowFailure: true })) === null;
+  }
+
+  message(changes) {
+    const describe = ([filePath, change]) => {
+      if (change === 'delete') return `Delete ${filePath}`;
+      if (change.renamedFrom) return `Rename ${change.renamedFrom} to ${filePath}`;
+      return `Update ${filePath}`;
+    };
+    // A rename shows up once, not as a delete plus an update
+    const renamed = new Set(Array.from(changes.values()).map(change => change.renamedFrom).filter(Boolean));
+    const lines = Array.from(changes.entries()).filter(([filePath]) => !renamed.has(filePath)).map(describe);
+    if (lines.length === 1) return lines[0];
+    return `Update ${lines.length} notes\n\n${lines.map(line => `- ${line}`).join('\n')}`;
+  }
+
+  // === READING HISTORY ===
+
+  /**
+   * Revisions of a note, newest first, following it across renames:
+   * [{ rev, author, date, message, path }], where `path` is the note's
+   * name at that revision. A null `limit` returns every revision.
+   */
+  async log(relPath, { limit = 50 } = {}) {
+    this.requireReady();
+    const normalized = this.vault.normalizePath(relPath);
+    this.vault.requireMarkdown(normalized);
+    await this.flush();
+
+    const output = await this.git([
+      'log', '--follow', ...(limit == null ? [] : [`--max-count=${limit}`]), '--name-only',
+      '--format=%x1e%H%x1f%an%x1f%aI%x1f%s', '--', normalized
+    ], { allowFailure: true });
+
+    return (output || '').split('\x1e').filter(Boolean).map(chunk => {
+      const [header, ...rest] = chunk.split('\n');
+      const [rev, author, date, message] = header.split('\x1f');
+      const name = rest.find(line => line.trim()) || normalized;
+      return { rev, author, date, message, path: name };
+    });
+  }
+
+  async resolveRev(rev) {
+    if (typeof rev !== 'string' || !REV_PATTERN.test(rev)) {
+      throw new AppError('rev must be a commit hash', 400, 'INVALID_PARAM');
+    }
+    const full = await this.git(['rev-parse', '--verify', '-q', `${rev}^{commit}`], { allowFailure: true });
+    if (!full) throw new AppError(`Unknown revision: ${rev}`, 404, 'NOT_FOUND');
+    return full.trim();
+  }
+
+  /**
+   * A note's content at a revision: { path, rev, author, date, content },
+   * where `path` is what the note was called then.
+   */
+  async read(relPath, rev) {
+    this.requireReady();
+    const normalized = this.vault.normalizePath(relPath);
+    const full = await this.resolveRev(rev);
+
+    // However far back the revision is, as long as it touched this note
+    const entry = (await this.log(normalized, { limit: null })).find(e => e.rev === full);
+    if (!entry) {
+      throw new AppError(`${normalized} has no revision ${rev}`, 404, 'NOT_FOUND');
+    }
+    const content = await this.git(['show', `${full}:${entry.path}`], { allowFailure: true });
+    if (content === null) {
+      throw new AppError(`${normalized} was deleted in revision ${rev}`, 404, 'NOT_FOUND');
+    }
+    return { ...entry, content };
+  }
+
+  /**
+   * Who last changed each line, at `rev` or the latest commit:
+   * [{ line, rev, author, date, message, content }].
+   */
+  async blame(relPath, rev = null) {
+    this.requireReady();
+    const normalized = this.vault.normalizePath(relPath);
+    this.vault.requireMarkdown(normalized);
+    await this.flush();
+
+    const args = ['blame', '--line-porcelain'];
+    if (rev) args.push(await this.resolveRev(rev));
+    const output = await this.git([...args, '--', normalized], { allowFailure: true });
+    if (output === null) {
+      throw new AppError(`No history for ${normalized}`, 404, 'NOT_FOUND');
+    }
+
+    const lines = [];
+    let current = null;
+    for (const line of output.split('\n')) {
+      if (current === null) {
+        if (!line) continue;
+        const [hash, , finalLine] = line.split(' ');
+        current = { line: Number(finalLine), rev: hash };
+      } else if (line.startsWith('\t')) {
+        lines.push({ ...current, content: line.substring(1) });
+        current = null;
+      } else if (line.startsWith('author ')) {
+        current.author = line.substring(7);
+      } else if (line.startsWith('author-time ')) {
+        current.date = new Date(Number(line.substring(12)) * 1000).toISOString();
+      } else if (line.startsWith('summary ')) {
+        current.message = line.substring(8);
+      }
+    }
+    return lines;
+  }
+}
+
+module.exports = VaultHistory;
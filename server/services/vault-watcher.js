@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+/**
+ * Notices notes changed on disk behind the server's back: other editors,
+ * git pulls, sync tools. fs.watch events are collected for
+ * config.vault.watchDebounceMs (300 by default) and then each touched path
+ * is compared with what the server last knew of it, by mtime and size, so
+ * the server's own writes don't echo back.
+ *
+ * External changes are replayed as the vault's own 'write' and 'delete'
+ * events, which keeps every index current, and then emitted together as
+ * 'change' ([{ path, type: 'write' | 'delete', modified }]).
+ *
+ * Set config.vault.watch to false to turn it off.
+ */
+class VaultWatcher extends EventEmitter {
+  constructor(config, vault) {
+    super();
+    this.vault = vault;
+    this.enabled = config.vault?.watch !== false;
+    this.debounceMs = config.vault?.watchDebounceMs ?? 300;
+    this.known = new Map(); // note path -> "<mtime>:<size>"
+    this.pending = new Set();
+    this.timer = null;
+    this.watcher = null;
+    this.flushing = Promise.resolve();
+
+    // Our own changes are already known; remember them so they aren't replayed
+    vault.on('write', (filePath, content, meta) => {
+      if (!meta?.external) this.remember(filePath);
+    });
+    vault.on('delete', (filePath, meta) => {
+      if (!meta?.external) this.known.delete(filePath);
+    });
+    vault.on('rename', (from, to) => {
+      this.known.delete(from);
+      this.remember(to);
+    });
+  }
+
+  remember(filePath) {
+    try {
+      this.known.set(filePath, this.fingerprint(fs.statSync(path.join(this.vault.root, filePath))));
+    } catch (err) {
+      this.known.delete(filePath);
+    }
+  }
+
+  fingerprint(stat) {
+    return `${stat.mtimeMs}:${stat.size}`;
+  }
+
+  async start() {
+    if (!this.enabled) return;
+
+    for (const file of await this.vault.listFiles()) this.remember(file.path);
+
+    try {
+      this.watcher = fs.watch(this.vault.root, { recursive: true }, (eventType, filename) => {
+        if (filename) this.touch(filename.toString());
+      });
+    } catch (err) {
+      logger.warn('watcher', `Cannot watch ${this.vault.root}: ${err.message}`);
+      return;
+    }
+    this.watcher.on('error', err => logger.error('watcher', 'Vault watcher failed', err));
+    logger.info('watcher', `Watching ${this.vault.root} for changes`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+  }
+
+  touch(filename) {
+    const relPath = filename.split(path.sep).join('/');
+    // Hidden entries (.git, temp files from atomic writes) never hold notes
+    if (relPath.split('/').some(segment => segment.startsWith('.'))) return;
+
+    this.pending.add(relPath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.flushing = this.flushing.then(() => this.flush());
+    }, this.debounceMs);
+  }
+
+  async flush() {
+    const touched = Array.from(this.pending);
+    this.pending.clear();
+
+    const changes = [];
+    for (const relPath of touched) {
+      try {
+        changes.push(...await this.reconcile(relPath));
+      } catch (err) {
+        logger.error('watcher', `Failed to check ${relPath}`, err);
+      }
+    }
+    if (changes.length === 0) return;
+
+    logger.info('watcher', `${changes.length} note(s) changed on disk`);
+    this.emit('change', changes);
+  }
+
+  /**
+   * Compare a touched file or folder with what we knew of it. Folder events
+   * stand for everything inside, e.g. a folder moved in or deleted whole.
+   */
+  async reconcile(relPath) {
+    const absolute = path.join(this.vault.root, relPath);
+    const stat = await fs.promises.stat(absolute).catch(() => null);
+
+    const current = new Map();
+    if (stat?.isDirectory()) {
+      for (const file of await this.vault.listFiles(relPath)) {
+        current.set(file.path, await fs.promises.stat(path.join(this.vault.root, file.path)));
+      }
+    } else if (stat?.isFile() && this.vault.isMarkdown(relPath)) {
+      current.set(relPath, stat);
+    }
+
+    const changes = [];
+    for (const filePath of this.known.keys()) {
+      if ((filePath === relPath || filePath.startsWith(relPath + '/')) && !current.has(filePath)) {
+        this.known.delete(filePath);
+        this.vault.emit('delete', filePath, { user: null, external: true });
+        changes.push({ path: filePath, type: 'delete', modified: null });
+      }
+    }
+    for (const [filePath, fileStat] of current) {
+      if (this.known.get(filePath) === this.fingerprint(fileStat)) continue;
+
+      const content = await this.vault.readExisting(path.join(this.vault.root, filePath));
+      if (content === null) continue;
+      this.known.set(filePath, this.fingerprint(fileStat));
+      this.vault.emit('write', filePath, content, { user: null, external: true });
+      changes.push({ path: filePath, type: 'write', modified: fileStat.mtime.toISOString() });
+    }
+    return changes;
+  }
+}
+
+module.exports = VaultWatcher;
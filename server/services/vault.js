@@ -0,0 +1,523 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { AppError } = require('../middleware/error-handler');
+const { writeFileAtomic } = require('../atomic-file');
+const { rewriteLinks } = require('../wikilinks');
+const PolicyService = require('./policy');
+const Attribution = require('./attribution');
+const Trash = require('./trash');
+const logger = require('../logger');
+
+/**
+ * The Markdown notes vault on disk. All paths in and out are vault-relative
+ * with forward slashes; anything resolving outside the vault root, or into
+ * a hidden (dot) entry, is rejected.
+ *
+ * Every change is checked against the path's policy (see PolicyService).
+ *
+ * Changes take a `user` option, the username they are attributed to
+ * (omitted for anonymous changes); the last one is kept per note as
+ * `modifiedBy`.
+ *
+ * Deleted notes and folders go to the trash (.trash/, see Trash) unless
+ * deleted permanently, and can be restored from there.
+ *
+ * Emits 'write' (path, content, meta), 'delete' (path, meta) and 'rename'
+ * (from, to, meta) after each change to a note, where meta is { user }.
+ * Folder moves and deletes emit one event per note inside them, and a
+ * restore from the trash emits 'write' for each note it brings back.
+ */
+class VaultService extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+
+    const configured = config.vault?.path || 'vault';
+    this.root = path.isAbsolute(configured)
+      ? configured
+      : path.join(__dirname, '../..', configured);
+
+    this.policy = new PolicyService(config);
+    this.attribution = new Attribution(path.join(__dirname, '../data/vault/attribution.json'));
+
+    this.on('write', (filePath, content, meta) => this.attribution.record(filePath, meta?.user));
+    this.on('delete', (filePath) => this.attribution.forget(filePath));
+    this.on('rename', (from, to) => this.attribution.move(from, to));
+
+    this.ensureVaultDir();
+    this.trash = new Trash(this.root, config);
+  }
+
+  ensureVaultDir() {
+    if (!fs.existsSync(this.root)) {
+      fs.mkdirSync(this.root, { recursive: true });
+      logger.info('vault', `Created vault directory at ${this.root}`);
+    }
+    this.root = fs.realpathSync(this.root);
+  }
+
+  /**
+   * Normalize a client-supplied path to its vault-relative form.
+   */
+  normalizePath(relPath) {
+    if (typeof relPath !== 'string' || relPath.includes('\0')) {
+      throw new AppError('Invalid path', 400, 'INVALID_PATH');
+    }
+    const segments = relPath.replace(/\\/g, '/').split('/').filter(s => s !== '' && s !== '.');
+    if (segments.some(s => s === '..' || s.startsWith('.'))) {
+      throw new AppError('Invalid path', 400, 'INVALID_PATH');
+    }
+    return segments.join('/');
+  }
+
+  /**
+   * Resolve a vault-relative path to an absolute one, refusing anything that
+   * escapes the vault, including through symlinks.
+   */
+  async resolvePath(relPath) {
+    const normalized = this.normalizePath(relPath);
+    const absolute = path.join(this.root, normalized);
+
+    // Walk up to the nearest existing ancestor and check where it really lives
+    let existing = absolute;
+    while (!fs.existsSync(existing)) {
+      existing = path.dirname(existing);
+    }
+    const real = await fs.promises.realpath(existing);
+    if (real !== this.root && !real.startsWith(this.root + path.sep)) {
+      throw new AppError('Invalid path', 400, 'INVALID_PATH');
+    }
+    return absolute;
+  }
+
+  isMarkdown(relPath) {
+    return relPath.toLowerCase().endsWith('.md');
+  }
+
+  requireMarkdown(relPath) {
+    if (!this.isMarkdown(relPath)) {
+      throw new AppError('Only Markdown (.md) files are supported', 400, 'INVALID_PATH');
+    }
+  }
+
+  toRelative(absolute) {
+    return path.relative(this.root, absolute).split(path.sep).join('/');
+  }
+
+  // Current content of a note, or null when there is none yet
+  async readExisting(absolute) {
+    try {
+      return await fs.promises.readFile(absolute, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EISDIR') return null;
+      throw err;
+    }
+  }
+
+  // === POLICY ===
+
+  /**
+   * Effective policy for a note or folder, including the note's frontmatter.
+   */
+  async getPolicy(relPath) {
+    const normalized = this.normalizePath(relPath);
+    const absolute = await this.resolvePath(normalized);
+    const content = this.isMarkdown(normalized) ? await this.readExisting(absolute) : null;
+    return this.policy.resolve(normalized, content);
+  }
+
+  // Check `operation` against a folder and every note inside it
+  async checkFolderPolicy(relPath, operation) {
+    this.policy.check(this.policy.resolve(relPath), operation, relPath);
+    for (const file of await this.listFiles(relPath)) {
+      const content = await this.readExisting(path.join(this.root, file.path));
+      this.policy.check(this.policy.resolve(file.path, content), operation, file.path);
+    }
+  }
+
+  // === LISTING ===
+
+  /**
+   * Flat list of Markdown files under `folder` (the whole vault by default),
+   * in the shape db.syncFromServer expects.
+   */
+  async listFiles(folder = '') {
+    const start = await this.resolvePath(folder);
+    const files = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+        throw err;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const absolute = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(absolute);
+        } else if (entry.isFile() && this.isMarkdown(entry.name)) {
+          const stat = await fs.promises.stat(absolute);
+          const relative = this.toRelative(absolute);
+          files.push({
+            path: relative,
+            name: entry.name,
+            type: 'file',
+            modified: stat.mtime.toISOString(),
+            modifiedBy: this.attribution.get(relative)?.user || null,
+            size: stat.size
+          });
+        }
+      }
+    };
+
+    await walk(start);
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Nested folder tree for tree-editor.js: folders first, then files, each
+   * sorted by name. Empty folders are kept so they can be filled.
+   */
+  async getTree(folder = '') {
+    const start = await this.resolvePath(folder);
+
+    const build = async (dir) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      const folders = [];
+      const files = [];
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const absolute = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          folders.push({
+            type: 'folder',
+            name: entry.name,
+            path: this.toRelative(absolute),
+            children: await build(absolute)
+          });
+        } else if (entry.isFile() && this.isMarkdown(entry.name)) {
+          files.push({ type: 'file', name: entry.name, path: this.toRelative(absolute) });
+        }
+      }
+      const byName = (a, b) => a.name.localeCompare(b.name);
+      return [...folders.sort(byName), ...files.sort(byName)];
+    };
+
+    return build(start);
+  }
+
+  // === FILES ===
+
+  async readFile(relPath) {
+    const normalized = this.normalizePath(relPath);
+    this.requireMarkdown(normalized);
+    const absolute = await this.resolvePath(normalized);
+
+    try {
+      const [content, stat] = await Promise.all([
+        fs.promises.readFile(absolute, 'utf-8'),
+        fs.promises.stat(absolute)
+      ]);
+      return {
+        path: normalized,
+        name: path.basename(normalized),
+        content,
+        modified: stat.mtime.toISOString(),
+        modifiedBy: this.attribution.get(normalized)?.user || null,
+        size: stat.size,
+        policy: this.policy.resolve(normalized, content)
+      };
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EISDIR') {
+        throw new AppError(`File not found: ${normalized}`, 404, 'NOT_FOUND');
+      }
+      throw err;
+    }
+  }
+
+  async exists(relPath) {
+    const absolute = await this.resolvePath(relPath);
+    return fs.existsSync(absolute);
+  }
+
+  /**
+   * Write a note atomically. When `lastModified` (the mtime the client last
+   * saw) is given and the file has changed since, the write is refused with
+   * a 409 carrying the server copy so the client can resolve the conflict.
+   */
+  async writeFile(relPath, content, { lastModified = null, user = null } = {}) {
+    const normalized = this.normalizePath(relPath);
+    this.requireMarkdown(normalized);
+    const absolute = await this.resolvePath(normalized);
+
+    const existing = await this.readExisting(absolute);
+    const policy = this.policy.resolve(normalized, existing);
+    this.policy.check(policy, 'write', normalized, { existing, content });
+
+    if (lastModified) {
+      const seen = Date.parse(lastModified);
+      const stat = await fs.promises.stat(absolute).catch(() => null);
+      // ISO timestamps carry whole milliseconds; mtimes can be finer
+      if (stat && !Number.isNaN(seen) && Math.floor(stat.mtimeMs) > seen) {
+        const serverContent = await fs.promises.readFile(absolute, 'utf-8');
+        throw new AppError('File was changed on the server', 409, 'CONFLICT', {
+          serverContent,
+          modified: stat.mtime.toISOString()
+        });
+      }
+    }
+
+    await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+    await writeFileAtomic(absolute, content);
+    const stat = await fs.promises.stat(absolute);
+
+    this.emit('write', normalized, content, { user });
+    const previousSize = existing === null ? 0 : Buffer.byteLength(existing);
+    return { path: normalized, modified: stat.mtime.toISOString(), modifiedBy: user, size: stat.size, previousSize };
+  }
+
+  /**
+   * Delete a note into the trash, or for good when `permanent` is set.
+   * Trashed notes come back with their trash `id`.
+   */
+  async deleteFile(relPath, { user = null, permanent = false } = {}) {
+    const normalized = this.normalizePath(relPath);
+    this.requireMarkdown(normalized);
+    const absolute = await this.resolvePath(normalized);
+
+    const existing = await this.readExisting(absolute);
+    if (existing === null) {
+      throw new AppError(`File not found: ${normalized}`, 404, 'NOT_FOUND');
+    }
+    this.policy.check(this.policy.resolve(normalized, existing), 'delete', normalized);
+
+    const size = Buffer.byteLength(existing);
+    let trashed = null;
+    try {
+      if (permanent) {
+        await fs.promises.unlink(absolute);
+      } else {
+        trashed = await this.trash.put(absolute, normalized, { type: 'file', user, size, files: [normalized] });
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new AppError(`File not found: ${normalized}`, 404, 'NOT_FOUND');
+      }
+      throw err;
+    }
+
+    this.emit('delete', normalized, { user });
+    return { path: normalized, size, trashId: trashed?.id ?? null };
+  }
+
+  // === TREE OPERATIONS ===
+
+  /**
+   * Create a new note, refusing to overwrite an existing one.
+   */
+  async createFile(relPath, content = '', { user = null } = {}) {
+    const normalized = this.normalizePath(relPath);
+    this.requireMarkdown(normalized);
+    const absolute = await this.resolvePath(normalized);
+    // A new note's own frontmatter governs later edits, not its creation
+    this.policy.check(this.policy.resolve(normalized), 'create', normalized, { content });
+
+    await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+    try {
+      await fs.promises.writeFile(absolute, content, { flag: 'wx' });
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        throw new AppError(`"${normalized}" already exists`, 409, 'CONFLICT');
+      }
+      throw err;
+    }
+    const stat = await fs.promises.stat(absolute);
+
+    this.emit('write', normalized, content, { user });
+    return { path: normalized, modified: stat.mtime.toISOString(), modifiedBy: user, size: stat.size };
+  }
+
+  async createFolder(relPath) {
+    const normalized = this.normalizePath(relPath);
+    if (!normalized) {
+      throw new AppError('Folder path is required', 400, 'INVALID_PATH');
+    }
+    const absolute = await this.resolvePath(normalized);
+
+    if (fs.existsSync(absolute)) {
+      throw new AppError(`"${normalized}" already exists`, 409, 'CONFLICT');
+    }
+    this.policy.check(this.policy.resolve(normalized), 'create', normalized);
+    await fs.promises.mkdir(absolute, { recursive: true });
+    return { path: normalized };
+  }
+
+  /**
+   * Rename or move a note or folder. Missing parent folders of the target
+   * are created; an existing target is a 409. Wikilinks to every moved note
+   * are rewritten unless `updateLinks` is false.
+   */
+  async movePath(fromPath, toPath, { updateLinks = true, user = null } = {}) {
+    const from = this.normalizePath(fromPath);
+    const to = this.normalizePath(toPath);
+    if (!from || !to) {
+      throw new AppError('Both source and target paths are required', 400, 'INVALID_PATH');
+    }
+    const fromAbsolute = await this.resolvePath(from);
+    const toAbsolute = await this.resolvePath(to);
+
+    const stat = await fs.promises.stat(fromAbsolute).catch(() => null);
+    if (!stat) {
+      throw new AppError(`Not found: ${from}`, 404, 'NOT_FOUND');
+    }
+    if (stat.isFile()) {
+      this.requireMarkdown(from);
+      this.requireMarkdown(to);
+    } else if (to === from || to.startsWith(from + '/')) {
+      throw new AppError('Cannot move a folder into itself', 400, 'INVALID_PATH');
+    }
+    if (fs.existsSync(toAbsolute)) {
+      throw new AppError(`"${to}" already exists`, 409, 'CONFLICT');
+    }
+
+    if (stat.isFile()) {
+      const existing = await this.readExisting(fromAbsolute);
+      this.policy.check(this.policy.resolve(from, existing), 'rename', from);
+      this.policy.check(this.policy.resolve(to), 'create', to);
+    } else {
+      await this.checkFolderPolicy(from, 'rename');
+      this.policy.check(this.policy.resolve(to), 'create', to);
+    }
+
+    // Work out every note that moves so listeners can follow each one
+    const moved = stat.isFile()
+      ? [{ from, to }]
+      : (await this.listFiles(from)).map(f => ({ from: f.path, to: to + f.path.substring(from.length) }));
+
+    await fs.promises.mkdir(path.dirname(toAbsolute), { recursive: true });
+    await fs.promises.rename(fromAbsolute, toAbsolute);
+
+    for (const move of moved) {
+      this.emit('rename', move.from, move.to, { user });
+    }
+
+    const updatedLinks = updateLinks && moved.length > 0 ? await this.rewriteLinks(moved, { user }) : [];
+    return { from, to, type: stat.isFile() ? 'file' : 'folder', moved, updatedLinks };
+  }
+
+  /**
+   * Rewrite [[links]] and ![[embeds]] across the vault after notes moved.
+   * Returns each rewritten note with its new mtime and how many links changed.
+   */
+  async rewriteLinks(moved, { user = null } = {}) {
+    const renames = new Map(moved.map(move => [move.from, move.to]));
+    const updated = [];
+    const skipped = [];
+
+    for (const file of await this.listFiles()) {
+      const absolute = path.join(this.root, file.path);
+      const content = await fs.promises.readFile(absolute, 'utf-8');
+      const result = rewriteLinks(content, renames);
+      if (result.count === 0) continue;
+
+      // Protected notes keep their old links rather than failing the move
+      const policy = this.policy.resolve(file.path, content);
+      if (policy.readOnly || policy.appendOnly) {
+        skipped.push(file.path);
+        continue;
+      }
+
+      await writeFileAtomic(absolute, result.content);
+      const stat = await fs.promises.stat(absolute);
+      this.emit('write', file.path, result.content, { user });
+      updated.push({ path: file.path, links: result.count, modified: stat.mtime.toISOString() });
+    }
+
+    if (updated.length > 0 || skipped.length > 0) {
+      logger.info('vault', `Updated links in ${updated.length} note(s) after move`, { moved: moved.length, skipped });
+    }
+    return updated;
+  }
+
+  /**
+   * Delete a folder into the trash, or for good when `permanent` is set.
+   * Non-empty folders are only removed when `recursive` is set.
+   */
+  async deleteFolder(relPath, { recursive = false, user = null, permanent = false } = {}) {
+    const normalized = this.normalizePath(relPath);
+    if (!normalized) {
+      throw new AppError('Cannot delete the vault root', 400, 'INVALID_PATH');
+    }
+    const absolute = await this.resolvePath(normalized);
+
+    const stat = await fs.promises.stat(absolute).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+      throw new AppError(`Folder not found: ${normalized}`, 404, 'NOT_FOUND');
+    }
+
+    const files = await this.listFiles(normalized);
+    const removed = files.map(f => f.path);
+    if (!recursive && (await fs.promises.readdir(absolute)).length > 0) {
+      throw new AppError(`Folder "${normalized}" is not empty`, 409, 'CONFLICT');
+    }
+    await this.checkFolderPolicy(normalized, 'delete');
+
+    const size = files.reduce((total, f) => total + f.size, 0);
+    let trashed = null;
+    if (permanent) {
+      await fs.promises.rm(absolute, { recursive: true });
+    } else {
+      trashed = await this.trash.put(absolute, normalized, { type: 'folder', user, size, files: removed });
+    }
+
+    for (const filePath of removed) {
+      this.emit('delete', filePath, { user });
+    }
+    return { path: normalized, removed, size, trashId: trashed?.id ?? null };
+  }
+
+  // === TRASH ===
+
+  /**
+   * Put a trashed note or folder back where it was, or at `to`. Refuses
+   * to overwrite anything; every note restored is re-announced as a write
+   * so the indexes pick up its links and tags again.
+   */
+  async restoreFromTrash(id, { to = null, user = null } = {}) {
+    const entry = await this.trash.get(id);
+    const target = this.normalizePath(to ?? entry.path);
+    if (!target) {
+      throw new AppError('Cannot restore over the vault root', 400, 'INVALID_PATH');
+    }
+    if (entry.type === 'file') this.requireMarkdown(target);
+    const absolute = await this.resolvePath(target);
+
+    if (fs.existsSync(absolute)) {
+      throw new AppError(`"${target}" already exists; restore it somewhere else`, 409, 'CONFLICT', { path: target });
+    }
+
+    const restored = entry.files.map(filePath => target + filePath.substring(entry.path.length));
+    for (const filePath of restored) {
+      const content = entry.type === 'file'
+        ? await fs.promises.readFile(entry.stored, 'utf-8')
+        : await fs.promises.readFile(path.join(entry.stored, filePath.substring(target.length + 1)), 'utf-8');
+      this.policy.check(this.policy.resolve(filePath), 'create', filePath, { content });
+    }
+
+    await fs.promises.mkdir(path.dirname(absolute), { recursive: true });
+    await fs.promises.rename(entry.stored, absolute);
+    await this.trash.remove(id);
+
+    for (const filePath of restored) {
+      const content = await fs.promises.readFile(path.join(this.root, filePath), 'utf-8');
+      this.emit('write', filePath, content, { user });
+    }
+    return { id, path: target, type: entry.type, restored };
+  }
+}
+
+module.exports = VaultService;
@@ -0,0 +1,560 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const logger = require('../logger');
+const { writeFileAtomicSync } = require('../atomic-file');
+const { AppError } = require('../middleware/error-handler');
+// Shared with the browser so both sides transform edits identically
+const TextOperation = require('../../public/js/text-operation');
+
+const DEFAULT_ID = 'default';
+const DEFAULT_TITLE = 'Public Whiteboard';
+const DEFAULT_CONTENT = '# Welcome to the Public Whiteboard\n\nStart typing...';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function computeEtag(content) {
+  const hash = crypto.createHash('sha1').update(content).digest('hex');
+  return `"${hash.substring(0, 16)}"`;
+}
+
+/**
+ * A single whiteboard room, stored in its own directory.
+ *
+ * Emits 'operation' with { version, op, etag, lastModified, clientId, seq,
+ * user } after every change, whether it came from a live client or a plain
+ * save. Revisions credit the users who made them in `editors`.
+ */
+class Whiteboard extends EventEmitter {
+  constructor(config, id, dataDir, options = {}) {
+    super();
+    this.config = config;
+    this.id = id;
+    this.dataDir = dataDir;
+    this.filePath = path.join(this.dataDir, 'whiteboard.json');
+    this.historyPath = path.join(this.dataDir, 'history.jsonl');
+    this.saveDelay = config.whiteboard?.saveDelayMs ?? 1000;
+    this.historyLimit = config.whiteboard?.historyLimit ?? 200;
+    this.historyDelay = config.whiteboard?.historyDelayMs ?? 15000;
+    this.opLogLimit = config.whiteboard?.opLogLimit ?? 500;
+    this.maxContentLength = config.whiteboard?.maxContentLength ?? 256 * 1024;
+    this.saveTimer = null;
+    this.revisionTimer = null;
+    this.dirty = false;
+
+    // Live editing state. `version` counts operations applied since startup;
+    // `epoch` changes on every restart so clients holding an old version
+    // resync instead of transforming against the wrong log.
+    this.epoch = crypto.randomBytes(4).toString('hex');
+    this.version = 0;
+    this.opLog = [];
+    this.opLogStart = 0;
+
+    // Revisions are kept oldest-first, mirroring the order of history.jsonl
+    this.revisions = [];
+    // Users whose changes are not in a revision yet
+    this.editors = new Set();
+
+    // Routes and views hold on to this object, so it is mutated in place
+    const now = new Date().toISOString();
+    this.board = {
+      id,
+      title: options.title || DEFAULT_TITLE,
+      content: options.content ?? DEFAULT_CONTENT,
+      createdAt: now,
+      lastModified: now,
+      lastModifiedBy: null,
+      lock: null,
+      rev: 0
+    };
+    // Checks every content change must pass, shared by all rooms (see
+    // WhiteboardService.addGuard)
+    this.guards = options.guards || [];
+    this.etag = computeEtag(this.board.content);
+
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load the persisted whiteboard and its revision log, if any. A corrupt
+   * whiteboard file is moved aside rather than overwritten so it can be
+   * recovered by hand.
+   */
+  load() {
+    this.loadBoard();
+    this.loadHistory();
+
+    // Seed the log so the very first edit can still be rolled back
+    if (this.revisions.length === 0) {
+      this.recordRevision(this.board.content, this.board.lastModified);
+    }
+    this.board.rev = this.revisions[this.revisions.length - 1].rev;
+    this.etag = computeEtag(this.board.content);
+
+    return this.board;
+  }
+
+  loadBoard() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        logger.info('whiteboard', `No saved whiteboard "${this.id}" found, starting fresh`);
+        return;
+      }
+      throw err;
+    }
+
+    try {
+      const saved = JSON.parse(raw);
+      if (typeof saved.content !== 'string') {
+        throw new Error('content is not a string');
+      }
+      this.board.content = saved.content;
+      this.board.title = saved.title || this.board.title;
+      this.board.createdAt = saved.createdAt || saved.lastModified || this.board.createdAt;
+      this.board.lastModified = saved.lastModified || this.board.lastModified;
+      this.board.lastModifiedBy = saved.lastModifiedBy || null;
+      this.board.lock = saved.lock || null;
+      logger.debug('whiteboard', `Loaded whiteboard "${this.id}"`, { lastModified: this.board.lastModified });
+    } catch (err) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      logger.error('whiteboard', `Saved whiteboard is unreadable, moved to ${path.basename(corruptPath)}`, err);
+    }
+  }
+
+  /**
+   * Read history.jsonl, skipping any line that fails to parse (e.g. a
+   * partial append cut short by a crash).
+   */
+  loadHistory() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.historyPath, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    this.revisions = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const revision = JSON.parse(line);
+        if (Number.isInteger(revision.rev) && typeof revision.content === 'string') {
+          this.revisions.push(revision);
+        }
+      } catch {
+        logger.warn('whiteboard', `Skipping unreadable history line in "${this.id}"`);
+      }
+    }
+
+    // A saved board newer than its last revision means the log append was lost
+    const latest = this.revisions[this.revisions.length - 1];
+    if (latest && latest.content !== this.board.content) {
+      this.recordRevision(this.board.content, this.board.lastModified);
+    }
+  }
+
+  get() {
+    return this.board;
+  }
+
+  getEtag() {
+    return this.etag;
+  }
+
+  /**
+   * Check an If-Match header value against the current content. Absent
+   * headers and `*` always match; weak validators compare by opaque tag.
+   */
+  matchesEtag(ifMatch) {
+    if (!ifMatch || ifMatch.trim() === '*') return true;
+    return ifMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(this.etag);
+  }
+
+  /**
+   * Replace the whole content (plain saves and restores). Live clients get
+   * the change as an ordinary operation, so their pending edits survive.
+   * `user` is the username the change is attributed to, if any.
+   */
+  update(content, { user = null, ...meta } = {}) {
+    if (content === this.board.content) return this.board;
+    this.checkLength(content.length);
+
+    this.commitOperation(TextOperation.fromDiff(this.board.content, content), { user });
+    this.commitRevision(meta);
+    return this.board;
+  }
+
+  /**
+   * Apply an operation a live client made against `version`, transforming it
+   * past everything applied since. Returns null when the client is too far
+   * behind (or on another epoch) and must resync from a snapshot.
+   */
+  applyOperation({ epoch, version, op, clientId, seq, user = null }) {
+    if (epoch !== this.epoch || version < this.opLogStart || version > this.version) {
+      return null;
+    }
+
+    try {
+      let transformed = op;
+      for (const applied of this.opLog.slice(version - this.opLogStart)) {
+        [transformed] = TextOperation.transform(transformed, applied);
+      }
+      this.checkLength(TextOperation.targetLength(transformed));
+      this.commitOperation(transformed, { clientId, seq, user });
+      this.scheduleRevision();
+      return { version: this.version, op: transformed };
+    } catch (err) {
+      if (err instanceof AppError) throw err;
+      logger.warn('whiteboard', `Rejected live operation: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Refuse changes that would grow the content past maxContentLength.
+  // Boards already over it (after the limit was lowered) can still shrink.
+  checkLength(length) {
+    if (length > this.maxContentLength && length > this.board.content.length) {
+      throw new AppError(
+        `Whiteboard content is limited to ${this.maxContentLength} characters`,
+        413, 'CONTENT_TOO_LARGE', { maxContentLength: this.maxContentLength }
+      );
+    }
+  }
+
+  commitOperation(op, origin) {
+    const content = TextOperation.apply(this.board.content, op);
+    for (const guard of this.guards) {
+      guard(this, content, origin);
+    }
+
+    this.board.content = content;
+    this.board.lastModified = new Date().toISOString();
+    this.board.lastModifiedBy = origin.user || null;
+    this.etag = computeEtag(this.board.content);
+    if (origin.user) this.editors.add(origin.user);
+
+    this.version++;
+    this.opLog.push(op);
+    if (this.opLog.length > this.opLogLimit) {
+      this.opLog.shift();
+      this.opLogStart++;
+    }
+
+    this.scheduleSave();
+    this.emit('operation', {
+      version: this.version,
+      op,
+      etag: this.etag,
+      lastModified: this.board.lastModified,
+      clientId: origin.clientId || null,
+      seq: origin.seq ?? null,
+      user: origin.user || null
+    });
+  }
+
+  setTitle(title) {
+    this.board.title = title;
+    this.scheduleSave();
+    return this.board;
+  }
+
+  // Freeze the board ({ by, at, reason, until }), or unfreeze it with null
+  setLock(lock) {
+    this.board.lock = lock;
+    this.scheduleSave();
+    return this.board;
+  }
+
+  summary() {
+    const { content, ...meta } = this.board;
+    return { ...meta, size: content.length };
+  }
+
+  getSnapshot() {
+    return {
+      content: this.board.content,
+      lastModified: this.board.lastModified,
+      etag: this.etag,
+      epoch: this.epoch,
+      version: this.version
+    };
+  }
+
+  // === HISTORY ===
+
+  // Live edits arrive keystroke by keystroke; snapshot them into the
+  // revision log once typing settles rather than on every operation
+  scheduleRevision() {
+    if (this.revisionTimer) return;
+    this.revisionTimer = setTimeout(() => {
+      this.revisionTimer = null;
+      this.commitRevision();
+    }, this.historyDelay);
+    this.revisionTimer.unref();
+  }
+
+  commitRevision(meta = {}) {
+    if (this.revisionTimer) {
+      clearTimeout(this.revisionTimer);
+      this.revisionTimer = null;
+    }
+    const latest = this.revisions[this.revisions.length - 1];
+    if (latest && latest.content === this.board.content) return;
+
+    // Everyone who contributed since the last revision is credited with it
+    const editors = Array.from(this.editors);
+    this.editors.clear();
+    this.board.rev = this.recordRevision(this.board.content, this.board.lastModified,
+      editors.length > 0 ? { ...meta, editors } : meta);
+  }
+
+  /**
+   * Append a revision to history.jsonl and return its number. The log is
+   * trimmed back to historyLimit in batches so most saves are a plain append.
+   */
+  recordRevision(content, timestamp, meta = {}) {
+    const latest = this.revisions[this.revisions.length - 1];
+    const revision = {
+      rev: latest ? latest.rev + 1 : 1,
+      timestamp,
+      size: content.length,
+      ...meta,
+      content
+    };
+
+    this.revisions.push(revision);
+
+    try {
+      const trimSlack = Math.max(10, Math.ceil(this.historyLimit / 10));
+      if (this.revisions.length > this.historyLimit + trimSlack) {
+        this.revisions = this.revisions.slice(-this.historyLimit);
+        const lines = this.revisions.map(r => JSON.stringify(r)).join('\n');
+        writeFileAtomicSync(this.historyPath, lines + '\n');
+      } else {
+        fs.appendFileSync(this.historyPath, JSON.stringify(revision) + '\n');
+      }
+    } catch (err) {
+      logger.error('whiteboard', `Failed to write history for "${this.id}"`, err);
+    }
+
+    return revision.rev;
+  }
+
+  /**
+   * Revision summaries, newest first, without content.
+   */
+  listRevisions() {
+    return this.revisions
+      .map(({ content, ...summary }) => summary)
+      .reverse();
+  }
+
+  getRevision(rev) {
+    return this.revisions.find(r => r.rev === rev) || null;
+  }
+
+  diff(fromRev, toRev) {
+    const from = this.getRevision(fromRev);
+    const to = this.getRevision(toRev);
+    if (!from || !to) return null;
+
+    return createTwoFilesPatch(
+      this.id, this.id,
+      from.content, to.content,
+      `rev ${from.rev}`, `rev ${to.rev}`
+    );
+  }
+
+  restore(rev, { user = null } = {}) {
+    const revision = this.getRevision(rev);
+    if (!revision) return null;
+    if (revision.content === this.board.content) return this.board;
+    return this.update(revision.content, { restoredFrom: rev, user });
+  }
+
+  // === PERSISTENCE ===
+
+  // Coalesce bursts of autosaves into a single disk write
+  scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (this.revisionTimer) {
+      this.commitRevision();
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.dirty) return;
+
+    try {
+      const { title, content, createdAt, lastModified, lastModifiedBy, lock } = this.board;
+      writeFileAtomicSync(this.filePath, JSON.stringify({ title, content, createdAt, lastModified, lastModifiedBy, lock }, null, 2));
+      this.dirty = false;
+    } catch (err) {
+      logger.error('whiteboard', `Failed to save whiteboard "${this.id}"`, err);
+    }
+  }
+}
+
+/**
+ * All whiteboard rooms. Each lives in server/data/whiteboard/<id>/; the
+ * "default" room backs `/` and the original /api/whiteboard endpoints.
+ *
+ * Re-emits every room's operations as 'operation' (id, change).
+ */
+class WhiteboardService extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.dataDir = path.join(__dirname, '../data/whiteboard/');
+    this.boards = new Map();
+    this.guards = [];
+    this.ensureDataDir();
+  }
+
+  /**
+   * Run `guard(board, content, origin)` before every content change in any
+   * room; it throws to refuse the change. `origin` has the `user` behind
+   * it, and `clientId` for live edits.
+   */
+  addGuard(guard) {
+    this.guards.push(guard);
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  load() {
+    this.migrateSingleBoard();
+
+    const ids = fs.readdirSync(this.dataDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && ID_PATTERN.test(entry.name))
+      .map(entry => entry.name);
+
+    for (const id of ids) {
+      this.openBoard(id).load();
+    }
+    if (!this.boards.has(DEFAULT_ID)) {
+      this.openBoard(DEFAULT_ID).load();
+    }
+
+    logger.info('whiteboard', `Loaded ${this.boards.size} whiteboard(s)`);
+  }
+
+  // Earlier versions kept a single board directly in the data directory
+  migrateSingleBoard() {
+    const legacyFile = path.join(this.dataDir, 'whiteboard.json');
+    const defaultDir = path.join(this.dataDir, DEFAULT_ID);
+    if (!fs.existsSync(legacyFile) || fs.existsSync(defaultDir)) return;
+
+    fs.mkdirSync(defaultDir, { recursive: true });
+    for (const name of ['whiteboard.json', 'history.jsonl']) {
+      const from = path.join(this.dataDir, name);
+      if (fs.existsSync(from)) fs.renameSync(from, path.join(defaultDir, name));
+    }
+    logger.info('whiteboard', `Moved single whiteboard into room "${DEFAULT_ID}"`);
+  }
+
+  openBoard(id, options = {}) {
+    const board = new Whiteboard(this.config, id, path.join(this.dataDir, id), { ...options, guards: this.guards });
+    board.on('operation', change => this.emit('operation', id, change));
+    this.boards.set(id, board);
+    return board;
+  }
+
+  get(id = DEFAULT_ID) {
+    return this.boards.get(id) || null;
+  }
+
+  getDefault() {
+    return this.boards.get(DEFAULT_ID);
+  }
+
+  list() {
+    return Array.from(this.boards.values())
+      .map(board => board.summary())
+      .sort((a, b) => (a.id === DEFAULT_ID ? -1 : b.id === DEFAULT_ID ? 1 : a.title.localeCompare(b.title)));
+  }
+
+  /**
+   * Derive a URL-safe id from the title when none is given, adding a
+   * numeric suffix until it is free.
+   */
+  makeId(title) {
+    const base = String(title).toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 32) || 'board';
+    let id = base;
+    for (let n = 2; this.boards.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  create({ id, title }) {
+    const boardId = id || this.makeId(title);
+    const board = this.openBoard(boardId, { title, content: `# ${title}\n\n` });
+    board.load();
+    board.scheduleSave();
+    board.flush();
+    logger.info('whiteboard', `Created whiteboard "${boardId}"`);
+    return board;
+  }
+
+  /**
+   * Remove a room. Its directory is renamed rather than deleted so a
+   * mistaken delete can still be recovered from disk.
+   */
+  delete(id) {
+    const board = this.boards.get(id);
+    if (!board) return false;
+
+    board.flush();
+    board.removeAllListeners();
+    this.boards.delete(id);
+    fs.renameSync(board.dataDir, path.join(this.dataDir, `${id}.deleted-${Date.now()}`));
+    logger.info('whiteboard', `Deleted whiteboard "${id}"`);
+    return true;
+  }
+
+  flush() {
+    for (const board of this.boards.values()) {
+      board.flush();
+    }
+  }
+}
+
+module.exports = WhiteboardService;
+module.exports.Whiteboard = Whiteboard;
+module.exports.DEFAULT_ID = DEFAULT_ID;
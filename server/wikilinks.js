@@ -0,0 +1,125 @@
+// Parsing and rewriting of [[wikilinks]] and ![[embeds]] in note content,
+// plus standard [text](note.md) links.
+//
+// A wikilink target is a vault path with the .md extension optional, which
+// is how the editors resolve it. "#heading" and "|alias" suffixes are kept
+// as written. Markdown link targets are relative to the linking note.
+// Links inside fenced code blocks are left alone.
+const path = require('path');
+
+const LINK_PATTERN = /(!?)\[\[([^[\]\n]+)\]\]/g;
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*(<[^>\n]+>|[^)\s]+)(?:\s+"[^"\n]*")?\s*\)/g;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Split the inside of [[...]] into target, "#heading" and "|alias" parts.
+// Inside tables the pipe is escaped as "\|".
+function parseLink(inner) {
+  const pipe = inner.search(/\\?\|/);
+  const linkPart = pipe === -1 ? inner : inner.substring(0, pipe);
+  const alias = pipe === -1 ? '' : inner.substring(pipe);
+  const hash = linkPart.indexOf('#');
+  return {
+    target: (hash === -1 ? linkPart : linkPart.substring(0, hash)).trim(),
+    heading: hash === -1 ? '' : linkPart.substring(hash),
+    alias
+  };
+}
+
+// The vault path a link target points at
+function toNotePath(target) {
+  const notePath = target.replace(/\\/g, '/').replace(/^\/+/, '');
+  return notePath.toLowerCase().endsWith('.md') ? notePath : notePath + '.md';
+}
+
+// Map each line outside fenced code through `fn(line, lineNumber)`
+function mapProseLines(content, fn) {
+  let inFence = false;
+  return content.split('\n').map((line, index) => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    return inFence ? line : fn(line, index + 1);
+  }).join('\n');
+}
+
+/**
+ * Run `fn` over every wikilink outside fenced code. When it returns a
+ * string the link is replaced by it. Returns the resulting content.
+ */
+function mapLinks(content, fn) {
+  return mapProseLines(content, (line, lineNumber) => {
+    return line.replace(LINK_PATTERN, (raw, bang, inner, column) => {
+      const link = { raw, embed: bang === '!', line: lineNumber, column, ...parseLink(inner) };
+      link.path = link.target ? toNotePath(link.target) : null;
+      const replacement = fn(link);
+      return typeof replacement === 'string' ? replacement : raw;
+    });
+  });
+}
+
+function findLinks(content) {
+  const links = [];
+  mapLinks(content, link => { links.push(link); });
+  return links;
+}
+
+/**
+ * Point links at new paths. `renames` maps old note paths to new ones.
+ * A link keeps its own style: with or without ".md", heading and alias.
+ */
+function rewriteLinks(content, renames) {
+  let count = 0;
+  const result = mapLinks(content, link => {
+    const newPath = link.path && renames.get(link.path);
+    if (!newPath) return null;
+
+    count++;
+    const target = link.target.toLowerCase().endsWith('.md') ? newPath : newPath.replace(/\.md$/i, '');
+    return `${link.embed ? '!' : ''}[[${target}${link.heading}${link.alias}]]`;
+  });
+  return { content: result, count };
+}
+
+/**
+ * Standard Markdown links to other notes, resolved against the folder of
+ * `sourcePath`. External URLs and links leaving the vault are skipped.
+ */
+function findMarkdownLinks(content, sourcePath) {
+  const links = [];
+  const folder = path.posix.dirname(sourcePath);
+  mapProseLines(content, (line, lineNumber) => {
+    for (const match of line.matchAll(MARKDOWN_LINK_PATTERN)) {
+      let href = match[3].replace(/^<|>$/g, '');
+      if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) continue;
+
+      href = href.split('#')[0];
+      try {
+        href = decodeURIComponent(href);
+      } catch (err) {
+        continue;
+      }
+      const resolved = path.posix.normalize(href.startsWith('/') ? href.substring(1) : path.posix.join(folder, href));
+      if (resolved.startsWith('..') || !resolved.toLowerCase().endsWith('.md')) continue;
+
+      links.push({
+        raw: match[0],
+        embed: match[1] === '!',
+        text: match[2],
+        line: lineNumber,
+        column: match.index,
+        path: resolved
+      });
+    }
+    return line;
+  });
+  return links;
+}
+
+module.exports = {
+  parseLink,
+  toNotePath,
+  findLinks,
+  findMarkdownLinks,
+  rewriteLinks
+};